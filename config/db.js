@@ -0,0 +1,280 @@
+import { MongoClient, ServerApiVersion } from "mongodb";
+import { UnavailableError } from "../errors/appErrors.js";
+import logger from "./logger.js";
+
+// ==================== MONGODB CONNECTION ====================
+const uri = process.env.MONGODB_URI;
+
+if (!uri) {
+  logger.error("MONGODB_URI is not defined in environment variables");
+}
+
+// Stable API v1, but not strict: text indexes and $text queries (crop
+// search) are outside the Stable API, and strict mode refuses them
+export const client = new MongoClient(uri, {
+  serverApi: {
+    version: ServerApiVersion.v1,
+    strict: false,
+    deprecationErrors: true,
+  },
+  maxPoolSize: 10,
+  minPoolSize: 1,
+  serverSelectionTimeoutMS: 5000,
+  socketTimeoutMS: 45000,
+});
+
+// Notifications are deleted by a TTL index after this many days
+const NOTIFICATION_TTL_DAYS = Number(process.env.NOTIFICATION_TTL_DAYS) || 90;
+
+// Audit log entries are deleted by a TTL index after this many days
+const AUDIT_LOG_TTL_DAYS = Number(process.env.AUDIT_LOG_TTL_DAYS) || 365;
+
+// Database collections
+export let db;
+export let cropsCollection;
+export let usersCollection;
+export let interestsCollection;
+export let messagesCollection;
+export let ordersCollection;
+export let reviewsCollection;
+export let notificationsCollection;
+export let emailOutboxCollection;
+export let auditLogCollection;
+export let rateLimitsCollection;
+
+export let isConnected = false;
+
+// Multi-document transactions need a replica set or a sharded cluster; see
+// checkTransactionSupport
+let transactionsSupported = true;
+
+const STANDALONE_MESSAGE =
+  "MongoDB is running as a standalone server, which has no transactions. " +
+  "Interest status changes, orders and crop deletion need them: run mongod " +
+  "as a replica set (mongod --replSet rs0, then rs.initiate()) or use Atlas";
+
+export async function connectDB() {
+  if (isConnected && db) {
+    return;
+  }
+
+  try {
+    await client.connect();
+    db = client.db(process.env.DB_NAME || "krishilinkDB");
+    cropsCollection = db.collection("crops");
+    usersCollection = db.collection("users");
+    interestsCollection = db.collection("interests");
+    messagesCollection = db.collection("messages");
+    ordersCollection = db.collection("orders");
+    reviewsCollection = db.collection("reviews");
+    notificationsCollection = db.collection("notifications");
+    emailOutboxCollection = db.collection("email_outbox");
+    auditLogCollection = db.collection("audit_log");
+    rateLimitsCollection = db.collection("rate_limits");
+    await checkTransactionSupport();
+    await ensureIndexes();
+    isConnected = true;
+    logger.info("Connected to MongoDB", { database: db.databaseName });
+  } catch (err) {
+    logger.error("MongoDB connection failed", { error: err });
+    isConnected = false;
+    throw err;
+  }
+}
+
+// A standalone mongod is detected on connect, so transactional writes can
+// fail with a clear message instead of the server's "Transaction numbers are
+// only allowed on a replica set member or mongos"
+async function checkTransactionSupport() {
+  const hello = await db.command({ hello: 1 });
+
+  transactionsSupported = Boolean(hello.setName) || hello.msg === "isdbgrid";
+
+  if (!transactionsSupported) {
+    logger.error(STANDALONE_MESSAGE);
+  }
+}
+
+// Starts a session for `session.withTransaction`. Throws a 503 explaining
+// the setup problem when the server cannot run transactions.
+export function startTransactionSession() {
+  if (!transactionsSupported) {
+    throw new UnavailableError(STANDALONE_MESSAGE, {
+      code: "TRANSACTIONS_UNSUPPORTED",
+    });
+  }
+
+  return client.startSession();
+}
+
+// Creates `indexes` on `collection`. A failure is logged (with `impact`,
+// what stops working without them) and does not stop the indexes of other
+// collections from being created.
+async function createIndexes(collection, indexes, impact) {
+  try {
+    await collection.createIndexes(indexes);
+  } catch (err) {
+    logger.error("Failed to create indexes", {
+      collection: collection.collectionName,
+      indexes: indexes.map((index) => index.name),
+      impact,
+      error: err,
+    });
+  }
+}
+
+// TTL periods come from settings that may change between deploys, and
+// createIndexes refuses to change an existing index's options. A changed
+// period is applied to the existing index with collMod instead.
+async function ensureTtlIndex(collection, { key, name, expireAfterSeconds }) {
+  try {
+    const indexes = await collection
+      .listIndexes()
+      .toArray()
+      .catch((err) => {
+        // A collection that does not exist yet has no indexes
+        if (err.code === 26) return [];
+        throw err;
+      });
+    const existing = indexes.find((index) => index.name === name);
+
+    if (!existing) {
+      await collection.createIndex(key, { name, expireAfterSeconds });
+    } else if (existing.expireAfterSeconds !== expireAfterSeconds) {
+      await db.command({
+        collMod: collection.collectionName,
+        index: { name, expireAfterSeconds },
+      });
+      logger.info("Updated TTL index", {
+        collection: collection.collectionName,
+        index: name,
+        from: existing.expireAfterSeconds,
+        to: expireAfterSeconds,
+      });
+    }
+  } catch (err) {
+    logger.error("Failed to create TTL index", {
+      collection: collection.collectionName,
+      index: name,
+      error: err,
+    });
+  }
+}
+
+// Index creation is idempotent, so it is safe on every cold start. Each
+// collection's indexes are created separately, so one failure (e.g. an
+// existing index with other options) does not leave the rest missing.
+async function ensureIndexes() {
+  await createIndexes(cropsCollection, [
+    { key: { createdAt: -1 }, name: "createdAt" },
+    { key: { pricePerUnit: 1 }, name: "pricePerUnit" },
+    { key: { quantity: 1 }, name: "quantity" },
+    { key: { type: 1, pricePerUnit: 1 }, name: "type_pricePerUnit" },
+    { key: { status: 1, createdAt: -1 }, name: "status_createdAt" },
+    { key: { name: 1 }, name: "name" },
+    { key: { "owner.ownerEmail": 1, createdAt: -1 }, name: "owner_createdAt" },
+    { key: { deletedAt: 1 }, name: "deletedAt", sparse: true },
+  ]);
+  // Created on their own: another text index on the collection, or a crop
+  // with a malformed `geo`, fails only that index
+  await createIndexes(
+    cropsCollection,
+    [
+      {
+        key: { name: "text", type: "text", location: "text", description: "text" },
+        name: "crop_text_search",
+        weights: { name: 10, type: 5, location: 3, description: 1 },
+      },
+    ],
+    "Crop search (?search=) returns 503 until this index exists"
+  );
+  await createIndexes(
+    cropsCollection,
+    [{ key: { geo: "2dsphere" }, name: "geo_2dsphere" }],
+    "Near-me crop queries return 503 until this index exists"
+  );
+  await createIndexes(interestsCollection, [
+    { key: { userEmail: 1, createdAt: -1 }, name: "buyer_createdAt" },
+    { key: { ownerEmail: 1, createdAt: -1 }, name: "owner_createdAt" },
+    { key: { cropId: 1, status: 1 }, name: "crop_status" },
+    { key: { status: 1 }, name: "status" },
+    {
+      key: { cropId: 1, userEmail: 1 },
+      name: "crop_buyer_unique",
+      unique: true,
+    },
+  ]);
+  await createIndexes(messagesCollection, [
+    { key: { interestId: 1, _id: -1 }, name: "interest_id" },
+    {
+      key: { interestId: 1, recipientEmail: 1, readAt: 1 },
+      name: "interest_recipient_unread",
+    },
+  ]);
+  await createIndexes(ordersCollection, [
+    { key: { interestId: 1 }, name: "interest_unique", unique: true },
+    { key: { buyerEmail: 1, createdAt: -1 }, name: "buyer_createdAt" },
+    { key: { ownerEmail: 1, createdAt: -1 }, name: "owner_createdAt" },
+    { key: { status: 1, createdAt: -1 }, name: "status_createdAt" },
+  ]);
+  await createIndexes(reviewsCollection, [
+    {
+      key: { interestId: 1, reviewerEmail: 1 },
+      name: "interest_reviewer_unique",
+      unique: true,
+    },
+    { key: { revieweeEmail: 1, createdAt: -1 }, name: "reviewee_createdAt" },
+  ]);
+  await createIndexes(notificationsCollection, [
+    { key: { recipientEmail: 1, _id: -1 }, name: "recipient_id" },
+    { key: { recipientEmail: 1, readAt: 1 }, name: "recipient_unread" },
+  ]);
+  await ensureTtlIndex(notificationsCollection, {
+    key: { createdAt: 1 },
+    name: "createdAt_ttl",
+    expireAfterSeconds: NOTIFICATION_TTL_DAYS * 24 * 60 * 60,
+  });
+  await createIndexes(emailOutboxCollection, [
+    { key: { status: 1, nextAttemptAt: 1 }, name: "status_nextAttemptAt" },
+    // Sent emails are kept for 30 days; failed ones stay until removed
+    {
+      key: { sentAt: 1 },
+      name: "sentAt_ttl",
+      expireAfterSeconds: 30 * 24 * 60 * 60,
+    },
+  ]);
+  await createIndexes(auditLogCollection, [
+    { key: { entityType: 1, entityId: 1, at: -1 }, name: "entity_at" },
+    { key: { "actor.email": 1, at: -1 }, name: "actor_at" },
+  ]);
+  await ensureTtlIndex(auditLogCollection, {
+    key: { at: 1 },
+    name: "at_ttl",
+    expireAfterSeconds: AUDIT_LOG_TTL_DAYS * 24 * 60 * 60,
+  });
+  // Counters are removed once their window is over
+  await createIndexes(rateLimitsCollection, [
+    { key: { expiresAt: 1 }, name: "expiresAt_ttl", expireAfterSeconds: 0 },
+  ]);
+}
+
+// Middleware to ensure DB connection
+export const ensureDBConnection = async (req, res, next) => {
+  try {
+    if (!isConnected) {
+      await connectDB();
+    }
+  } catch (error) {
+    throw new UnavailableError("Database connection failed", {
+      code: "DATABASE_UNAVAILABLE",
+      cause: error,
+    });
+  }
+  next();
+};
+
+// Initialize database connection. A failure is already logged, and requests
+// retry it through ensureDBConnection. Tests run without a database.
+if (process.env.NODE_ENV !== "test") {
+  connectDB().catch(() => {});
+}
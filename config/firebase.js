@@ -0,0 +1,147 @@
+import crypto from "node:crypto";
+import { initializeApp, cert, getApps } from "firebase-admin/app";
+import { getAuth } from "firebase-admin/auth";
+
+// ==================== FIREBASE ADMIN ====================
+
+let firebaseApp = null;
+
+function initFirebase() {
+  if (firebaseApp) {
+    return firebaseApp;
+  }
+
+  if (getApps().length > 0) {
+    firebaseApp = getApps()[0];
+    return firebaseApp;
+  }
+
+  const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+  const projectId = process.env.FIREBASE_PROJECT_ID;
+
+  if (serviceAccount) {
+    firebaseApp = initializeApp({
+      credential: cert(JSON.parse(serviceAccount)),
+    });
+  } else if (projectId) {
+    // Verifying ID tokens only needs the project ID; Google's public
+    // signing certificates are fetched by the SDK.
+    firebaseApp = initializeApp({ projectId });
+  }
+
+  return firebaseApp;
+}
+
+// Default verifier: checks the ID token with Firebase Admin
+async function firebaseVerifier(idToken) {
+  const app = initFirebase();
+
+  if (!app) {
+    const error = new Error(
+      "Firebase is not configured. Set FIREBASE_SERVICE_ACCOUNT or FIREBASE_PROJECT_ID"
+    );
+    error.code = "auth/not-configured";
+    throw error;
+  }
+
+  return getAuth(app).verifyIdToken(idToken);
+}
+
+// ==================== LOCAL KEY VERIFIER ====================
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+function authError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Builds a verifier that checks RS256 tokens against a local public key.
+// Used by tests and offline development in place of Firebase's certificates.
+export function createLocalKeyVerifier(publicKey, options = {}) {
+  const key = crypto.createPublicKey(publicKey);
+  const { audience, issuer } = options;
+
+  return async (idToken) => {
+    const parts = idToken.split(".");
+
+    if (parts.length !== 3) {
+      throw authError("auth/argument-error", "Malformed ID token");
+    }
+
+    const [headerSegment, payloadSegment, signatureSegment] = parts;
+    let header;
+    let payload;
+
+    try {
+      header = decodeSegment(headerSegment);
+      payload = decodeSegment(payloadSegment);
+    } catch {
+      throw authError("auth/argument-error", "Malformed ID token");
+    }
+
+    if (header.alg !== "RS256") {
+      throw authError("auth/argument-error", "ID token must be signed with RS256");
+    }
+
+    const isValid = crypto.verify(
+      "RSA-SHA256",
+      Buffer.from(`${headerSegment}.${payloadSegment}`),
+      key,
+      Buffer.from(signatureSegment, "base64url")
+    );
+
+    if (!isValid) {
+      throw authError("auth/invalid-id-token", "Invalid ID token signature");
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+
+    if (typeof payload.exp !== "number" || payload.exp <= now) {
+      throw authError("auth/id-token-expired", "ID token has expired");
+    }
+
+    if (audience && payload.aud !== audience) {
+      throw authError("auth/invalid-id-token", "ID token has incorrect audience");
+    }
+
+    if (issuer && payload.iss !== issuer) {
+      throw authError("auth/invalid-id-token", "ID token has incorrect issuer");
+    }
+
+    if (!payload.sub) {
+      throw authError("auth/invalid-id-token", "ID token has no subject");
+    }
+
+    return { ...payload, uid: payload.sub };
+  };
+}
+
+// ==================== VERIFIER REGISTRY ====================
+
+function defaultVerifier() {
+  const stubKey = process.env.AUTH_STUB_PUBLIC_KEY;
+
+  // A local stub key is never honoured in production
+  if (stubKey && process.env.NODE_ENV !== "production") {
+    return createLocalKeyVerifier(stubKey.replace(/\\n/g, "\n"), {
+      audience: process.env.FIREBASE_PROJECT_ID,
+    });
+  }
+
+  return firebaseVerifier;
+}
+
+let tokenVerifier = defaultVerifier();
+
+// Replace the active verifier (e.g. with createLocalKeyVerifier in tests)
+export function setTokenVerifier(verifier) {
+  tokenVerifier = verifier || defaultVerifier();
+}
+
+export function verifyIdToken(idToken) {
+  return tokenVerifier(idToken);
+}
@@ -0,0 +1,122 @@
+import { currentRequest } from "../services/requestContext.js";
+
+// ==================== LOGGER ====================
+//
+// Writes one JSON object per line:
+//
+//   { "time", "level", "message", "requestId", ...fields }
+//
+// `requestId` is added while a request is being handled, so every line it
+// causes can be found by its X-Request-Id. LOG_LEVEL sets the lowest level
+// written (default "info"); LOG_FORMAT=pretty prints readable lines for
+// local development instead.
+//
+// Emails and phone numbers are masked wherever they appear in fields, and
+// credentials are dropped, so logs can be shared without exposing users.
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const LOG_LEVEL = LOG_LEVELS.includes(process.env.LOG_LEVEL)
+  ? process.env.LOG_LEVEL
+  : "info";
+
+const PRETTY = process.env.LOG_FORMAT === "pretty";
+
+const EMAIL_PATTERN =
+  /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+const SECRET_KEYS = /authorization|cookie|password|secret|token/i;
+const PHONE_KEYS = /phone|mobile/i;
+
+// Nested values deeper than this are cut off
+const MAX_DEPTH = 6;
+
+// "farmer@example.com" -> "f***@example.com"
+function maskEmails(text) {
+  return text.replace(EMAIL_PATTERN, "$1***@$2");
+}
+
+// "+8801712345678" -> "***78"
+function maskPhone(value) {
+  const digits = String(value).replace(/\D/g, "");
+  return digits.length > 2 ? `***${digits.slice(-2)}` : "***";
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: maskEmails(String(error.message)),
+    code: error.code,
+    stack: error.stack ? maskEmails(error.stack) : undefined,
+    cause: error.cause instanceof Error ? serializeError(error.cause) : undefined,
+  };
+}
+
+// Copy of `value` that is safe to log
+export function redact(value, key = "", depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (SECRET_KEYS.test(key)) return "[REDACTED]";
+  if (PHONE_KEYS.test(key)) return maskPhone(value);
+
+  if (typeof value === "string") return maskEmails(value);
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== "object") return value;
+
+  // ObjectIds and similar values log as their string form
+  if (typeof value.toHexString === "function") return value.toString();
+
+  if (depth >= MAX_DEPTH) return "[Truncated]";
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, key, depth + 1));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([field, item]) => [
+      field,
+      redact(item, field, depth + 1),
+    ])
+  );
+}
+
+// "12:00:00.000 INFO  Request completed {"requestId":...}"
+function formatPretty({ time, level, message, ...fields }) {
+  const details =
+    Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : "";
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${message}${details}`;
+}
+
+function write(level, message, fields = {}) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(LOG_LEVEL)) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    message: maskEmails(message),
+  };
+
+  const requestId = currentRequest()?.id;
+  if (requestId) entry.requestId = requestId;
+
+  Object.assign(entry, redact(fields));
+
+  const line = PRETTY ? formatPretty(entry) : JSON.stringify(entry);
+
+  if (level === "error" || level === "warn") {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+}
+
+const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
+
+export default logger;
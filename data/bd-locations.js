@@ -0,0 +1,160 @@
+// Offline gazetteer of Bangladesh districts and common agricultural upazilas.
+// Coordinates are approximate administrative centres ([lat, lng]), good
+// enough for "near me" distances; they are not survey-grade.
+
+export const DISTRICTS = [
+  // Dhaka division
+  { name: "Dhaka", lat: 23.8103, lng: 90.4125 },
+  { name: "Gazipur", lat: 24.0023, lng: 90.4264 },
+  { name: "Narayanganj", lat: 23.6238, lng: 90.5 },
+  { name: "Narsingdi", lat: 23.9322, lng: 90.715 },
+  { name: "Munshiganj", lat: 23.5422, lng: 90.5305 },
+  { name: "Manikganj", lat: 23.8617, lng: 90.0003 },
+  { name: "Tangail", lat: 24.2513, lng: 89.9167 },
+  { name: "Kishoreganj", lat: 24.4449, lng: 90.7766 },
+  { name: "Faridpur", lat: 23.607, lng: 89.8429 },
+  { name: "Gopalganj", lat: 23.005, lng: 89.8266 },
+  { name: "Madaripur", lat: 23.1641, lng: 90.1896 },
+  { name: "Rajbari", lat: 23.7574, lng: 89.6445 },
+  { name: "Shariatpur", lat: 23.2423, lng: 90.4348 },
+  // Mymensingh division
+  { name: "Mymensingh", lat: 24.7471, lng: 90.4203 },
+  { name: "Jamalpur", lat: 24.9375, lng: 89.9378 },
+  { name: "Netrokona", lat: 24.87, lng: 90.7279, aliases: ["Netrakona"] },
+  { name: "Sherpur", lat: 25.0205, lng: 90.0153 },
+  // Chattogram division
+  { name: "Chattogram", lat: 22.3569, lng: 91.7832, aliases: ["Chittagong", "Ctg"] },
+  { name: "Cox's Bazar", lat: 21.4272, lng: 92.0058, aliases: ["Coxs Bazar", "Cox Bazar"] },
+  { name: "Cumilla", lat: 23.4607, lng: 91.1809, aliases: ["Comilla"] },
+  { name: "Feni", lat: 23.0159, lng: 91.3976 },
+  { name: "Noakhali", lat: 22.8696, lng: 91.0995 },
+  { name: "Lakshmipur", lat: 22.9447, lng: 90.8282, aliases: ["Laxmipur"] },
+  { name: "Chandpur", lat: 23.2333, lng: 90.6713 },
+  { name: "Brahmanbaria", lat: 23.9571, lng: 91.1119, aliases: ["B Baria"] },
+  { name: "Rangamati", lat: 22.6533, lng: 92.1789 },
+  { name: "Khagrachhari", lat: 23.1193, lng: 91.9847, aliases: ["Khagrachari"] },
+  { name: "Bandarban", lat: 22.1953, lng: 92.2184 },
+  // Rajshahi division
+  { name: "Rajshahi", lat: 24.3745, lng: 88.6042 },
+  { name: "Bogura", lat: 24.8465, lng: 89.3773, aliases: ["Bogra"] },
+  { name: "Pabna", lat: 24.0064, lng: 89.2372 },
+  { name: "Sirajganj", lat: 24.4534, lng: 89.7007 },
+  { name: "Natore", lat: 24.4206, lng: 89.0003 },
+  { name: "Naogaon", lat: 24.7936, lng: 88.9318 },
+  {
+    name: "Chapai Nawabganj",
+    lat: 24.5965,
+    lng: 88.2775,
+    aliases: ["Chapainawabganj", "Nawabganj"],
+  },
+  { name: "Joypurhat", lat: 25.0968, lng: 89.0227 },
+  // Khulna division
+  { name: "Khulna", lat: 22.8456, lng: 89.5403 },
+  { name: "Jashore", lat: 23.1664, lng: 89.2081, aliases: ["Jessore"] },
+  { name: "Satkhira", lat: 22.7185, lng: 89.0705 },
+  { name: "Bagerhat", lat: 22.6516, lng: 89.7859 },
+  { name: "Kushtia", lat: 23.9013, lng: 89.1205 },
+  { name: "Jhenaidah", lat: 23.545, lng: 89.1726 },
+  { name: "Magura", lat: 23.4873, lng: 89.4197 },
+  { name: "Narail", lat: 23.1725, lng: 89.5127 },
+  { name: "Chuadanga", lat: 23.6401, lng: 88.8418 },
+  { name: "Meherpur", lat: 23.7622, lng: 88.6318 },
+  // Barishal division
+  { name: "Barishal", lat: 22.701, lng: 90.3535, aliases: ["Barisal"] },
+  { name: "Bhola", lat: 22.6859, lng: 90.6482 },
+  { name: "Patuakhali", lat: 22.3596, lng: 90.3299 },
+  { name: "Pirojpur", lat: 22.5841, lng: 89.972 },
+  { name: "Jhalokati", lat: 22.6406, lng: 90.1987, aliases: ["Jhalakathi", "Jhalokathi"] },
+  { name: "Barguna", lat: 22.1591, lng: 90.1262 },
+  // Sylhet division
+  { name: "Sylhet", lat: 24.8949, lng: 91.8687 },
+  { name: "Moulvibazar", lat: 24.4829, lng: 91.7774, aliases: ["Maulvibazar"] },
+  { name: "Habiganj", lat: 24.384, lng: 91.4169, aliases: ["Hobiganj"] },
+  { name: "Sunamganj", lat: 25.0658, lng: 91.395 },
+  // Rangpur division
+  { name: "Rangpur", lat: 25.7439, lng: 89.2752 },
+  { name: "Dinajpur", lat: 25.6217, lng: 88.6355 },
+  { name: "Thakurgaon", lat: 26.0337, lng: 88.4617 },
+  { name: "Panchagarh", lat: 26.3411, lng: 88.5542 },
+  { name: "Nilphamari", lat: 25.931, lng: 88.856 },
+  { name: "Lalmonirhat", lat: 25.9923, lng: 89.2847 },
+  { name: "Kurigram", lat: 25.8054, lng: 89.6362 },
+  { name: "Gaibandha", lat: 25.3288, lng: 89.528 },
+];
+
+// Upazilas share names across districts (e.g. Shibganj, Pirganj), so each
+// entry records its district to break ties
+export const UPAZILAS = [
+  { name: "Savar", district: "Dhaka", lat: 23.8583, lng: 90.2667 },
+  { name: "Keraniganj", district: "Dhaka", lat: 23.6986, lng: 90.3456 },
+  { name: "Dhamrai", district: "Dhaka", lat: 23.9167, lng: 90.2167 },
+  { name: "Kaliakair", district: "Gazipur", lat: 24.0667, lng: 90.2167 },
+  { name: "Sreepur", district: "Gazipur", lat: 24.2, lng: 90.4833 },
+  { name: "Rupganj", district: "Narayanganj", lat: 23.7833, lng: 90.5167 },
+  { name: "Shibpur", district: "Narsingdi", lat: 24.0333, lng: 90.7333 },
+  { name: "Belabo", district: "Narsingdi", lat: 24.0833, lng: 90.85 },
+  { name: "Mirzapur", district: "Tangail", lat: 24.1, lng: 90.1 },
+  { name: "Madhupur", district: "Tangail", lat: 24.6167, lng: 90.0333 },
+  { name: "Bhairab", district: "Kishoreganj", lat: 24.05, lng: 90.9667 },
+  { name: "Bhaluka", district: "Mymensingh", lat: 24.3833, lng: 90.3833 },
+  { name: "Muktagachha", district: "Mymensingh", lat: 24.7667, lng: 90.2667 },
+  { name: "Trishal", district: "Mymensingh", lat: 24.5833, lng: 90.3917 },
+  { name: "Sarishabari", district: "Jamalpur", lat: 24.7333, lng: 89.8333 },
+  { name: "Shibganj", district: "Bogura", lat: 25.0167, lng: 89.3167 },
+  { name: "Shibganj", district: "Chapai Nawabganj", lat: 24.6833, lng: 88.1667 },
+  { name: "Gabtali", district: "Bogura", lat: 24.8667, lng: 89.45 },
+  { name: "Sariakandi", district: "Bogura", lat: 24.8833, lng: 89.5667 },
+  { name: "Godagari", district: "Rajshahi", lat: 24.4667, lng: 88.3333 },
+  { name: "Puthia", district: "Rajshahi", lat: 24.3667, lng: 88.85 },
+  { name: "Bagha", district: "Rajshahi", lat: 24.2, lng: 88.8333 },
+  { name: "Tanore", district: "Rajshahi", lat: 24.6, lng: 88.55 },
+  { name: "Ishwardi", district: "Pabna", lat: 24.1333, lng: 89.0667, aliases: ["Ishurdi"] },
+  { name: "Shahjadpur", district: "Sirajganj", lat: 24.1667, lng: 89.5833 },
+  { name: "Ullapara", district: "Sirajganj", lat: 24.3167, lng: 89.5667 },
+  { name: "Singra", district: "Natore", lat: 24.5, lng: 89.1333 },
+  { name: "Baraigram", district: "Natore", lat: 24.3, lng: 89.1667 },
+  { name: "Manda", district: "Naogaon", lat: 24.7667, lng: 88.6667 },
+  { name: "Mohadevpur", district: "Naogaon", lat: 24.9, lng: 88.7333 },
+  { name: "Gomastapur", district: "Chapai Nawabganj", lat: 24.7833, lng: 88.2667 },
+  { name: "Dumuria", district: "Khulna", lat: 22.8083, lng: 89.425 },
+  { name: "Dacope", district: "Khulna", lat: 22.5667, lng: 89.5 },
+  { name: "Paikgachha", district: "Khulna", lat: 22.5833, lng: 89.3333 },
+  { name: "Jhikargachha", district: "Jashore", lat: 23.1, lng: 89.1 },
+  { name: "Chaugachha", district: "Jashore", lat: 23.2667, lng: 89.0333 },
+  { name: "Monirampur", district: "Jashore", lat: 23.0167, lng: 89.2333 },
+  { name: "Shyamnagar", district: "Satkhira", lat: 22.3333, lng: 89.1 },
+  { name: "Mongla", district: "Bagerhat", lat: 22.4833, lng: 89.6 },
+  { name: "Bheramara", district: "Kushtia", lat: 24.0167, lng: 88.9917 },
+  { name: "Damurhuda", district: "Chuadanga", lat: 23.6167, lng: 88.7833 },
+  { name: "Gangni", district: "Meherpur", lat: 23.8167, lng: 88.7417 },
+  { name: "Gournadi", district: "Barishal", lat: 22.9667, lng: 90.2333 },
+  { name: "Char Fasson", district: "Bhola", lat: 22.1833, lng: 90.75, aliases: ["Charfasson"] },
+  { name: "Kalapara", district: "Patuakhali", lat: 21.9833, lng: 90.2417 },
+  { name: "Sreemangal", district: "Moulvibazar", lat: 24.3083, lng: 91.7333, aliases: ["Srimangal"] },
+  { name: "Kulaura", district: "Moulvibazar", lat: 24.5167, lng: 92.0333 },
+  { name: "Chunarughat", district: "Habiganj", lat: 24.2, lng: 91.5167 },
+  { name: "Jaintiapur", district: "Sylhet", lat: 25.1333, lng: 92.1167 },
+  { name: "Teknaf", district: "Cox's Bazar", lat: 20.8667, lng: 92.3 },
+  { name: "Ukhia", district: "Cox's Bazar", lat: 21.2833, lng: 92.1 },
+  { name: "Chakaria", district: "Cox's Bazar", lat: 21.7667, lng: 92.0833 },
+  { name: "Sitakunda", district: "Chattogram", lat: 22.6167, lng: 91.6667 },
+  { name: "Mirsharai", district: "Chattogram", lat: 22.7667, lng: 91.5667 },
+  { name: "Hathazari", district: "Chattogram", lat: 22.5, lng: 91.8 },
+  { name: "Patiya", district: "Chattogram", lat: 22.3, lng: 91.9833 },
+  { name: "Chauddagram", district: "Cumilla", lat: 23.2167, lng: 91.3 },
+  { name: "Daudkandi", district: "Cumilla", lat: 23.5333, lng: 90.7167 },
+  { name: "Hajiganj", district: "Chandpur", lat: 23.25, lng: 90.85 },
+  { name: "Ramgati", district: "Lakshmipur", lat: 22.6, lng: 90.9833 },
+  { name: "Hatiya", district: "Noakhali", lat: 22.2833, lng: 91.1 },
+  { name: "Pirganj", district: "Rangpur", lat: 25.85, lng: 89.3667 },
+  { name: "Pirganj", district: "Thakurgaon", lat: 25.8667, lng: 88.35 },
+  { name: "Mithapukur", district: "Rangpur", lat: 25.5667, lng: 89.2833 },
+  { name: "Birganj", district: "Dinajpur", lat: 25.8667, lng: 88.65 },
+  { name: "Fulbari", district: "Dinajpur", lat: 25.5, lng: 88.95 },
+  { name: "Parbatipur", district: "Dinajpur", lat: 25.6667, lng: 88.9167 },
+  { name: "Saidpur", district: "Nilphamari", lat: 25.7833, lng: 88.9 },
+  { name: "Tetulia", district: "Panchagarh", lat: 26.4833, lng: 88.35 },
+  { name: "Ulipur", district: "Kurigram", lat: 25.6667, lng: 89.6333 },
+  { name: "Gobindaganj", district: "Gaibandha", lat: 25.1333, lng: 89.3833 },
+  { name: "Patgram", district: "Lalmonirhat", lat: 26.35, lng: 89.0167 },
+];
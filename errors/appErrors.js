@@ -0,0 +1,94 @@
+// ==================== APPLICATION ERRORS ====================
+//
+// Routes, middleware and services throw these instead of writing error
+// responses. Express 5 passes anything thrown in, or rejected by, an async
+// handler to the error handler (middleware/errorHandler.js), which sends:
+//
+//   { success: false, message, code, errors?, data? }
+//
+// `code` is stable, for clients to branch on; `message` is for people and
+// may change. Each class has a default code that a more specific one can
+// replace, e.g. new ForbiddenError("...", { code: "ACCOUNT_SUSPENDED" }).
+// `cause` keeps the underlying error, whose message is shown in development.
+
+export class AppError extends Error {
+  constructor(
+    message,
+    { status = 500, code = "INTERNAL_ERROR", errors, data, cause } = {}
+  ) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+    this.data = data;
+  }
+}
+
+// 400 - the request is malformed or a field is invalid. `errors` lists the
+// invalid fields as { field, message }.
+export class ValidationError extends AppError {
+  constructor(message = "Validation failed", options = {}) {
+    super(message, { status: 400, code: "VALIDATION_FAILED", ...options });
+  }
+}
+
+// 400 - the request is valid, but not for the resource in its current state
+export class BadRequestError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 400, code: "BAD_REQUEST", ...options });
+  }
+}
+
+// 401 - no usable identity token
+export class UnauthorizedError extends AppError {
+  constructor(message = "Unauthorized", options = {}) {
+    super(message, { status: 401, code: "UNAUTHORIZED", ...options });
+  }
+}
+
+// 403 - authenticated, but not allowed
+export class ForbiddenError extends AppError {
+  constructor(message = "Forbidden", options = {}) {
+    super(message, { status: 403, code: "FORBIDDEN", ...options });
+  }
+}
+
+// 404 - the resource does not exist (or may not be seen by the caller)
+export class NotFoundError extends AppError {
+  constructor(message = "Not found", options = {}) {
+    super(message, { status: 404, code: "NOT_FOUND", ...options });
+  }
+}
+
+// 409 - a concurrent change or an existing record prevents the write
+export class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 409, code: "CONFLICT", ...options });
+  }
+}
+
+// 503 - a dependency (database, authentication) cannot be reached
+export class UnavailableError extends AppError {
+  constructor(message = "Service unavailable", options = {}) {
+    super(message, { status: 503, code: "SERVICE_UNAVAILABLE", ...options });
+  }
+}
+
+// 410 - the resource existed but can no longer be used (e.g. a crop past
+// its restore period)
+export class GoneError extends AppError {
+  constructor(message = "Gone", options = {}) {
+    super(message, { status: 410, code: "GONE", ...options });
+  }
+}
+
+// The error for a move a state machine refuses. The check* helpers
+// (checkTransition, checkOrderTransition, ...) return
+// { allowed: false, code, message } with `code` the HTTP status: 403 when
+// the actor may not make the move, otherwise 400.
+export function refusedTransitionError({ code, message }, options = {}) {
+  return code === 403
+    ? new ForbiddenError(message, options)
+    : new BadRequestError(message, options);
+}
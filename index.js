@@ -1,14 +1,113 @@
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import dotenv from "dotenv";
-import { MongoClient, ServerApiVersion, ObjectId } from "mongodb";
-
-dotenv.config();
+import { ObjectId } from "mongodb";
+import {
+  cropsCollection,
+  usersCollection,
+  interestsCollection,
+  reviewsCollection,
+  ensureDBConnection,
+} from "./config/db.js";
+import authenticate from "./middleware/authenticate.js";
+import deprecated from "./middleware/deprecated.js";
+import { notFound, errorHandler } from "./middleware/errorHandler.js";
+import requestLogger from "./middleware/requestLogger.js";
+import logger from "./config/logger.js";
+import optionalAuthenticate from "./middleware/optionalAuthenticate.js";
+import rateLimit from "./middleware/rateLimit.js";
+import requireRole, {
+  SELLER_ROLES,
+  BUYER_ROLES,
+} from "./middleware/requireRole.js";
+import validateBody from "./middleware/validateBody.js";
+import validateQuery from "./middleware/validateQuery.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import messageRoutes from "./routes/messageRoutes.js";
+import orderRoutes from "./routes/orderRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import cropImageRoutes from "./routes/cropImageRoutes.js";
+import uploadImages from "./middleware/uploadImages.js";
+import {
+  ValidationError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  UnavailableError,
+} from "./errors/appErrors.js";
+import {
+  PUBLIC_INTEREST_PROJECTION,
+  attachInterests,
+  updateInterestStatus,
+  makeCounterOffer,
+} from "./services/interests.js";
+import { historyEntry, offerEntry } from "./services/interestTransitions.js";
+import {
+  buildCropListQuery,
+  buildPageMeta,
+  suggestCropTerms,
+  parseNear,
+  findCropsNear,
+  findOwnerCrops,
+} from "./services/crops.js";
+import { resolveCropGeo } from "./services/geocode.js";
+import { storeImage, deleteImages } from "./services/images.js";
+import { recordAudit } from "./services/audit.js";
+import {
+  NOT_DELETED,
+  softDeleteCrop,
+  restoreCrop,
+  restorableUntil,
+} from "./services/cropDeletion.js";
+import { STORAGE_DRIVER, UPLOAD_DIR } from "./services/storage.js";
+import { createReview } from "./services/reviews.js";
+import { checkDatabase } from "./services/health.js";
+import {
+  registry,
+  cropsCreated,
+  interestsCreated,
+} from "./services/metrics.js";
+import { notifyInterestCreated } from "./services/notifications.js";
+import {
+  emailInterestCreated,
+  startOutboxWorker,
+} from "./services/emails.js";
+import {
+  PUBLIC_CROP_STATUS,
+  canViewCrop,
+  changeCropStatus,
+  moderationEntry,
+  resubmissionEntry,
+} from "./services/cropModeration.js";
+import {
+  cropCreateSchema,
+  cropUpdateSchema,
+  interestCreateSchema,
+  interestStatusSchema,
+  interestOfferSchema,
+  legacyInterestStatusSchema,
+  userCreateSchema,
+  userUpdateSchema,
+  cropListQuerySchema,
+  cropSuggestQuerySchema,
+  myCropsQuerySchema,
+  reviewCreateSchema,
+  reviewListQuerySchema,
+} from "./validation/schemas.js";
 
 const app = express();
 const port = process.env.PORT || 5000;
 
 // ==================== MIDDLEWARE ====================
+// Number of proxies in front of the server, so req.ip (used by rate limits)
+// is the client's address. Vercel adds one.
+app.set(
+  "trust proxy",
+  Number(process.env.TRUST_PROXY) || (process.env.VERCEL ? 1 : 0)
+);
+// Request id, request context (logger, audit log) and the access log
+app.use(requestLogger);
 app.use(express.json());
 app.use(
   cors({
@@ -19,73 +118,28 @@ app.use(
       "https://krishilink-project-1452e.firebaseapp.com",
     ],
     credentials: true,
+    exposedHeaders: [
+      "Deprecation",
+      "Sunset",
+      "Link",
+      "RateLimit-Policy",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "Retry-After",
+      "X-Request-Id",
+    ],
   })
 );
 
-// ==================== MONGODB CONNECTION ====================
-const uri = process.env.MONGODB_URI;
-
-if (!uri) {
-  console.error("❌ MONGODB_URI is not defined in environment variables");
-}
-
-const client = new MongoClient(uri, {
-  serverApi: {
-    version: ServerApiVersion.v1,
-    strict: true,
-    deprecationErrors: true,
-  },
-  maxPoolSize: 10,
-  minPoolSize: 1,
-  serverSelectionTimeoutMS: 5000,
-  socketTimeoutMS: 45000,
-});
-
-// Database collections
-let db;
-let cropsCollection;
-let usersCollection;
-
-let isConnected = false;
-
-async function connectDB() {
-  if (isConnected && db) {
-    return;
-  }
-
-  try {
-    await client.connect();
-    db = client.db(process.env.DB_NAME || "krishilinkDB");
-    cropsCollection = db.collection("crops");
-    usersCollection = db.collection("users");
-    isConnected = true;
-    console.log("✅ Successfully connected to MongoDB!");
-  } catch (err) {
-    console.error("❌ MongoDB connection error:", err);
-    isConnected = false;
-    throw err;
-  }
+// Uploaded images, when they are stored on this server's disk
+if (STORAGE_DRIVER === "local") {
+  app.use(
+    "/uploads",
+    express.static(UPLOAD_DIR, { immutable: true, maxAge: "365d" })
+  );
 }
 
-// Middleware to ensure DB connection
-const ensureDBConnection = async (req, res, next) => {
-  try {
-    if (!isConnected) {
-      await connectDB();
-    }
-    next();
-  } catch (error) {
-    res.status(503).json({
-      success: false,
-      message: "Database connection failed",
-      error: process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
-  }
-};
-
-// Initialize database connection
-connectDB().catch(console.dir);
-
 // ==================== ROOT ENDPOINTS ====================
 
 app.get("/", (req, res) => {
@@ -96,203 +150,294 @@ app.get("/", (req, res) => {
     endpoints: {
       crops: "/api/crops",
       interests: "/api/interests",
+      orders: "/api/orders",
+      notifications: "/api/notifications",
       users: "/api/users",
+      me: "/api/me",
+      admin: "/api/admin",
+      health: "/health/ready",
+      metrics: "/metrics",
     },
   });
 });
 
-app.get("/health", (req, res) => {
+// GET /health/live - The process is up and serving requests
+app.get("/health/live", (req, res) => {
   res.json({
     success: true,
-    message: "Server is healthy",
-    timestamp: new Date().toISOString(),
-    database: isConnected ? "connected" : "disconnected",
+    message: "Server is running",
+    data: { uptimeSeconds: Math.round(process.uptime()) },
   });
 });
 
-// ==================== CROPS API ROUTES ====================
+// GET /health/ready - MongoDB answers a ping; 503 when it does not
+app.get("/health/ready", async (req, res) => {
+  const { error, ...database } = await checkDatabase();
 
-// GET /api/crops - Fetch all crops with optional search
-app.get("/api/crops", ensureDBConnection, async (req, res) => {
-  try {
-    const searchQuery = req.query.search;
-    let filter = {};
-
-    if (searchQuery) {
-      filter = {
-        $or: [
-          { name: { $regex: searchQuery, $options: "i" } },
-          { type: { $regex: searchQuery, $options: "i" } },
-          { location: { $regex: searchQuery, $options: "i" } },
-          { description: { $regex: searchQuery, $options: "i" } },
-        ],
-      };
-    }
+  if (database.status !== "up") {
+    throw new UnavailableError("Server is not ready", {
+      code: "NOT_READY",
+      data: { database },
+      cause: new Error(error),
+    });
+  }
+
+  res.json({
+    success: true,
+    message: "Server is ready",
+    data: { database },
+  });
+});
 
-    const crops = await cropsCollection.find(filter).toArray();
+// GET /health - Older combined check, now backed by a real ping
+app.get(
+  "/health",
+  deprecated({ successor: "/health/ready" }),
+  async (req, res) => {
+    const database = await checkDatabase();
 
     res.json({
       success: true,
-      message: "Crops fetched successfully",
-      data: crops,
+      message: "Server is healthy",
+      timestamp: new Date().toISOString(),
+      database: database.status === "up" ? "connected" : "disconnected",
+      databaseLatencyMs: database.latencyMs,
     });
-  } catch (error) {
-    console.error("Error fetching crops:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch crops",
-      error: error.message,
+  }
+);
+
+// GET /metrics - Prometheus metrics (Bearer METRICS_TOKEN when it is set)
+app.get("/metrics", async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+
+  if (token && req.get("Authorization") !== `Bearer ${token}`) {
+    throw new UnauthorizedError("Unauthorized: Invalid metrics token", {
+      code: "TOKEN_INVALID",
     });
   }
+
+  res.set("Content-Type", registry.contentType);
+  res.send(await registry.metrics());
 });
 
-// GET /api/crops/latest - Fetch latest 6 crops for homepage
-app.get("/api/crops/latest", ensureDBConnection, async (req, res) => {
-  try {
-    const latestCrops = await cropsCollection
-      .find()
-      .sort({ createdAt: -1 })
-      .limit(6)
-      .toArray();
+// ==================== CROPS API ROUTES ====================
+
+// GET /api/crops?page=1&limit=20&sortBy=price&order=asc&type=Vegetable - Fetch crops
+// with pagination, sorting, filtering, optional search and near=lat,lng&radius=km
+app.get(
+  "/api/crops",
+  ensureDBConnection,
+  validateQuery(cropListQuerySchema),
+  async (req, res) => {
+    const query = req.validatedQuery;
+
+    if (
+      query.minPrice !== undefined &&
+      query.maxPrice !== undefined &&
+      query.minPrice > query.maxPrice
+    ) {
+      throw new ValidationError("Invalid query parameters", {
+        errors: [
+          { field: "minPrice", message: "must not be greater than maxPrice" },
+        ],
+      });
+    }
+
+    // MongoDB cannot combine $text with $geoNear
+    if (query.near && query.search) {
+      throw new ValidationError("Invalid query parameters", {
+        errors: [{ field: "near", message: "cannot be combined with search" }],
+      });
+    }
+
+    const near = query.near ? parseNear(query.near) : null;
+
+    if (query.near && !near) {
+      throw new ValidationError("Invalid query parameters", {
+        errors: [
+          { field: "near", message: "latitude or longitude is out of range" },
+        ],
+      });
+    }
+
+    const { filter, sort, projection, sortBy, order } =
+      buildCropListQuery(query);
+    const { page, limit } = query;
+    let crops;
+    let total;
+    let radiusKm;
+
+    if (near) {
+      ({ crops, total, radiusKm } = await findCropsNear({
+        filter,
+        near,
+        radiusKm: query.radius,
+        sort,
+        page,
+        limit,
+      }));
+    } else {
+      [crops, total] = await Promise.all([
+        cropsCollection
+          .find(filter, { projection })
+          .sort(sort)
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray(),
+        cropsCollection.countDocuments(filter),
+      ]);
+    }
+    await attachInterests(crops);
 
     res.json({
       success: true,
-      message: "Latest crops fetched successfully",
-      data: latestCrops,
-    });
-  } catch (error) {
-    console.error("Error fetching latest crops:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch latest crops",
-      error: error.message,
+      message: "Crops fetched successfully",
+      data: crops,
+      meta: buildPageMeta({
+        page,
+        limit,
+        total,
+        sortBy,
+        order,
+        ...(near ? { near, radiusKm } : {}),
+      }),
     });
   }
+);
+
+// GET /api/crops/latest - Fetch latest 6 approved crops for homepage
+app.get("/api/crops/latest", ensureDBConnection, async (req, res) => {
+  const latestCrops = await cropsCollection
+    .find({ status: PUBLIC_CROP_STATUS, ...NOT_DELETED })
+    .sort({ createdAt: -1 })
+    .limit(6)
+    .toArray();
+  await attachInterests(latestCrops);
+
+  res.json({
+    success: true,
+    message: "Latest crops fetched successfully",
+    data: latestCrops,
+  });
 });
 
-// GET /api/crops/interest - Unwind all interests from all crops
-app.get("/api/crops/interest", ensureDBConnection, async (req, res) => {
-  try {
-    const interests = await cropsCollection
-      .aggregate([
-        { $unwind: "$interests" },
-        { $replaceRoot: { newRoot: "$interests" } },
-      ])
-      .toArray();
+// GET /api/crops/suggest?q=tom - Autocomplete suggestions for the search box
+app.get(
+  "/api/crops/suggest",
+  ensureDBConnection,
+  validateQuery(cropSuggestQuerySchema),
+  async (req, res) => {
+    const { q, limit } = req.validatedQuery;
+    const suggestions = await suggestCropTerms(q, limit);
 
     res.json({
       success: true,
-      message: "All interests fetched successfully",
-      data: interests,
-    });
-  } catch (error) {
-    console.error("Error fetching interests:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch interests",
-      error: error.message,
+      message: "Suggestions fetched successfully",
+      data: suggestions,
     });
   }
+);
+
+// GET /api/crops/interest - Fetch all interests across all crops
+app.get("/api/crops/interest", ensureDBConnection, async (req, res) => {
+  const interests = await interestsCollection
+    .find({}, { projection: PUBLIC_INTEREST_PROJECTION })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  res.json({
+    success: true,
+    message: "All interests fetched successfully",
+    data: interests,
+  });
 });
 
 // GET /api/crops/:id - Fetch single crop by ID
-app.get("/api/crops/:id", ensureDBConnection, async (req, res) => {
-  try {
+// Unapproved crops are only visible to their owner and admins
+app.get(
+  "/api/crops/:id",
+  ensureDBConnection,
+  optionalAuthenticate,
+  async (req, res) => {
     const cropId = req.params.id;
 
     if (!ObjectId.isValid(cropId)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid crop ID",
-      });
+      throw new ValidationError("Invalid crop ID");
     }
 
-    const crop = await cropsCollection.findOne({ _id: new ObjectId(cropId) });
+    const crop = await cropsCollection.findOne({
+      _id: new ObjectId(cropId),
+    });
 
-    if (!crop) {
-      return res.status(404).json({
-        success: false,
-        message: "Crop not found",
-      });
+    if (!crop || !canViewCrop(crop, req.user)) {
+      throw new NotFoundError("Crop not found");
     }
 
+    await attachInterests(crop);
+
     res.json({
       success: true,
       message: "Crop fetched successfully",
       data: crop,
     });
-  } catch (error) {
-    console.error("Error fetching crop:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch crop",
-      error: error.message,
-    });
   }
-});
+);
 
 // POST /api/crops - Add new crop
-app.post("/api/crops", ensureDBConnection, async (req, res) => {
-  try {
-    const { pricePerUnit, quantity, name, type, unit, description, location } = req.body;
-
-    // Validation
-    if (!name || !type || !unit || !description || !location) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing required fields",
-      });
-    }
-
-    if (pricePerUnit === undefined || pricePerUnit <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Price per unit must be greater than 0",
-      });
-    }
-
-    if (quantity === undefined || quantity <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Quantity must be greater than 0",
-      });
-    }
+app.post(
+  "/api/crops",
+  rateLimit("crops", { by: "ip" }),
+  authenticate,
+  rateLimit("crops", { by: "user" }),
+  requireRole(SELLER_ROLES),
+  validateBody(cropCreateSchema),
+  async (req, res) => {
+    // req.body only holds whitelisted, type-checked fields (cropCreateSchema)
+    const { coordinates, ...cropData } = req.body;
 
     const newCrop = {
-      ...req.body,
-      interests: [],
+      ...cropData,
+      ...resolveCropGeo(coordinates, cropData.location),
+      owner: {
+        ownerEmail: req.user.email,
+        ownerName: req.body.owner?.ownerName || req.user.name,
+      },
+      // New listings wait for an admin to approve them
       status: "pending",
+      statusHistory: [
+        moderationEntry(null, "pending", "owner", req.user.email),
+      ],
       createdAt: new Date(),
       updatedAt: new Date(),
     };
 
     const result = await cropsCollection.insertOne(newCrop);
+    cropsCreated.inc();
+    await recordAudit({
+      entityType: "crop",
+      entityId: result.insertedId,
+      action: "create",
+      after: newCrop,
+    });
 
     res.status(201).json({
       success: true,
-      message: "Crop added successfully",
-      data: { ...newCrop, _id: result.insertedId },
-    });
-  } catch (error) {
-    console.error("Error adding crop:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to add crop",
-      error: error.message,
+      message: "Crop added successfully and is awaiting approval",
+      data: { ...newCrop, _id: result.insertedId, interests: [] },
     });
   }
-});
+);
 
 // PUT /api/crops/:id - Update crop
-app.put("/api/crops/:id", ensureDBConnection, async (req, res) => {
-  try {
+app.put(
+  "/api/crops/:id",
+  authenticate,
+  validateBody(cropUpdateSchema, { partial: true }),
+  async (req, res) => {
     const cropId = req.params.id;
 
     if (!ObjectId.isValid(cropId)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid crop ID",
-      });
+      throw new ValidationError("Invalid crop ID");
     }
 
     const existingCrop = await cropsCollection.findOne({
@@ -300,595 +445,511 @@ app.put("/api/crops/:id", ensureDBConnection, async (req, res) => {
     });
 
     if (!existingCrop) {
-      return res.status(404).json({
-        success: false,
-        message: "Crop not found",
-      });
+      throw new NotFoundError("Crop not found");
     }
 
     // Verify ownership
-    const userEmail = req.headers["user-email"];
-    if (existingCrop.owner?.ownerEmail !== userEmail) {
-      return res.status(403).json({
-        success: false,
-        message: "Unauthorized: You can only update your own crops",
-      });
+    if (existingCrop.owner?.ownerEmail !== req.user.email) {
+      throw new ForbiddenError(
+        "Unauthorized: You can only update your own crops"
+      );
     }
 
-    const { _id, interests, createdAt, ...updateData } = req.body;
+    if (existingCrop.deletedAt) {
+      throw new BadRequestError(
+        "Deleted crops must be restored before they can be changed"
+      );
+    }
 
-    // Validate updated values if provided
-    if (updateData.pricePerUnit !== undefined && updateData.pricePerUnit <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Price per unit must be greater than 0",
-      });
+    // Only fields in cropUpdateSchema survive validation
+    const { coordinates, ...updateData } = req.body;
+
+    if (Object.keys(req.body).length === 0) {
+      throw new ValidationError("No valid fields to update");
     }
 
-    if (updateData.quantity !== undefined && updateData.quantity < 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Quantity cannot be negative",
-      });
+    const cropUpdate = {
+      $set: {
+        ...updateData,
+        updatedAt: new Date(),
+      },
+    };
+
+    // Re-pin on new coordinates, or re-geocode a changed label unless the
+    // owner pinned the crop by hand. A label that cannot be geocoded keeps
+    // the current pin rather than removing it.
+    const relocated =
+      updateData.location !== undefined && existingCrop.geoSource !== "user";
+
+    if (coordinates || relocated) {
+      const geoFields = resolveCropGeo(
+        coordinates,
+        updateData.location ?? existingCrop.location
+      );
+
+      if (geoFields) {
+        Object.assign(cropUpdate.$set, geoFields);
+      }
+    }
+
+    // Editing what buyers see sends the listing back for review
+    const resubmission = resubmissionEntry(
+      existingCrop,
+      updateData,
+      req.user.email
+    );
+    const resubmitted = Boolean(resubmission);
+
+    if (resubmitted) {
+      cropUpdate.$set.status = "pending";
+      cropUpdate.$push = { statusHistory: resubmission };
     }
 
     const result = await cropsCollection.updateOne(
       { _id: new ObjectId(cropId) },
-      {
-        $set: {
-          ...updateData,
-          updatedAt: new Date(),
-        },
-      }
+      cropUpdate
     );
 
     if (result.modifiedCount === 0) {
-      return res.status(400).json({
-        success: false,
-        message: "No changes made to the crop",
-      });
+      throw new BadRequestError("No changes made to the crop");
     }
 
     const updatedCrop = await cropsCollection.findOne({
       _id: new ObjectId(cropId),
     });
+    await recordAudit({
+      entityType: "crop",
+      entityId: updatedCrop._id,
+      action: "update",
+      before: existingCrop,
+      after: updatedCrop,
+    });
+    await attachInterests(updatedCrop);
 
     res.json({
       success: true,
-      message: "Crop updated successfully",
+      message: resubmitted
+        ? "Crop updated and resubmitted for review"
+        : "Crop updated successfully",
       data: updatedCrop,
     });
-  } catch (error) {
-    console.error("Error updating crop:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update crop",
-      error: error.message,
-    });
   }
-});
-
-// DELETE /api/crops/:id - Delete crop
-app.delete("/api/crops/:id", ensureDBConnection, async (req, res) => {
-  try {
-    const cropId = req.params.id;
-
-    if (!ObjectId.isValid(cropId)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid crop ID",
-      });
-    }
+);
 
-    const existingCrop = await cropsCollection.findOne({
-      _id: new ObjectId(cropId),
-    });
+// DELETE /api/crops/:id - Delete crop (restorable for CROP_RESTORE_DAYS);
+// its pending interests are marked withdrawn
+app.delete("/api/crops/:id", authenticate, async (req, res) => {
+  const result = await softDeleteCrop({
+    cropId: req.params.id,
+    ownerEmail: req.user.email,
+  });
 
-    if (!existingCrop) {
-      return res.status(404).json({
-        success: false,
-        message: "Crop not found",
-      });
-    }
+  res.json({
+    success: true,
+    message: "Crop deleted successfully",
+    ...(result.withdrawn > 0
+      ? {
+          warning: `This crop had ${result.withdrawn} pending interest(s) which have been withdrawn`,
+        }
+      : {}),
+    data: {
+      deletedCount: 1,
+      deletedAt: result.crop.deletedAt,
+      restorableUntil: restorableUntil(result.crop),
+      interestsWithdrawn: result.withdrawn,
+    },
+  });
+});
 
-    // Verify ownership
-    const userEmail = req.headers["user-email"];
-    if (existingCrop.owner?.ownerEmail !== userEmail) {
-      return res.status(403).json({
-        success: false,
-        message: "Unauthorized: You can only delete your own crops",
-      });
-    }
+// PATCH /api/crops/:id/restore - Undo a delete within the grace period
+app.patch("/api/crops/:id/restore", authenticate, async (req, res) => {
+  const result = await restoreCrop({
+    cropId: req.params.id,
+    ownerEmail: req.user.email,
+  });
 
-    // Check for pending interests and warn user
-    const pendingInterests = existingCrop.interests?.filter(
-      (interest) => interest.status === "pending"
-    ) || [];
+  res.json({
+    success: true,
+    message: "Crop restored successfully",
+    data: { ...result.crop, interestsReinstated: result.reinstated },
+  });
+});
 
-    if (pendingInterests.length > 0) {
-      // Allow deletion but include warning in response
-      const result = await cropsCollection.deleteOne({
-        _id: new ObjectId(cropId),
-      });
+// PATCH /api/crops/:id/archive - Take own listing off the market
+app.patch("/api/crops/:id/archive", authenticate, async (req, res) => {
+  const crop = await changeCropStatus({
+    cropId: req.params.id,
+    status: "archived",
+    actor: "owner",
+    actorEmail: req.user.email,
+  });
 
-      return res.json({
-        success: true,
-        message: "Crop deleted successfully",
-        warning: `This crop had ${pendingInterests.length} pending interest(s) which have been removed`,
-        data: { 
-          deletedCount: result.deletedCount,
-          pendingInterestsRemoved: pendingInterests.length 
-        },
-      });
-    }
+  res.json({
+    success: true,
+    message: "Crop archived successfully",
+    data: crop,
+  });
+});
 
-    const result = await cropsCollection.deleteOne({
-      _id: new ObjectId(cropId),
-    });
+// PATCH /api/crops/:id/unarchive - Relist an archived crop (goes back to review)
+app.patch("/api/crops/:id/unarchive", authenticate, async (req, res) => {
+  const crop = await changeCropStatus({
+    cropId: req.params.id,
+    status: "pending",
+    from: "archived",
+    actor: "owner",
+    actorEmail: req.user.email,
+  });
 
-    res.json({
-      success: true,
-      message: "Crop deleted successfully",
-      data: { deletedCount: result.deletedCount },
-    });
-  } catch (error) {
-    console.error("Error deleting crop:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to delete crop",
-      error: error.message,
-    });
-  }
+  res.json({
+    success: true,
+    message: "Crop unarchived and resubmitted for review",
+    data: crop,
+  });
 });
 
+// POST /api/crops/:id/images, DELETE /api/crops/:id/images/:imageId - Photos
+app.use("/api/crops/:id/images", cropImageRoutes);
+
 // ==================== INTERESTS API ROUTES ====================
 
 // POST /api/interests - Add new interest to a crop
-app.post("/api/interests", ensureDBConnection, async (req, res) => {
-  try {
-    const { cropId, userEmail, userName, quantity, message } = req.body;
-
-    if (!cropId || !userEmail || !userName) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing required fields: cropId, userEmail, userName",
-      });
-    }
-
-    if (!ObjectId.isValid(cropId)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid crop ID",
+app.post(
+  "/api/interests",
+  rateLimit("interests", { by: "ip" }),
+  authenticate,
+  rateLimit("interests", { by: "user" }),
+  requireRole(BUYER_ROLES),
+  validateBody(interestCreateSchema),
+  async (req, res) => {
+    const { cropId, quantity, proposedPrice, message } = req.body;
+    const userEmail = req.user.email;
+    const userName = req.body.userName || req.user.name;
+
+    if (!userName) {
+      throw new ValidationError("Validation failed", {
+        errors: [{ field: "userName", message: "is required" }],
       });
     }
 
     const crop = await cropsCollection.findOne({ _id: new ObjectId(cropId) });
 
     if (!crop) {
-      return res.status(404).json({
-        success: false,
-        message: "Crop not found",
-      });
+      throw new NotFoundError("Crop not found");
     }
 
-    const existingInterest = crop.interests?.find(
-      (interest) => interest.userEmail === userEmail
-    );
-
-    if (existingInterest) {
-      return res.status(400).json({
-        success: false,
-        message: "You have already shown interest in this crop",
-      });
+    if (crop.status !== PUBLIC_CROP_STATUS || crop.deletedAt) {
+      throw new BadRequestError("This crop is not accepting interests");
     }
 
-    // Validate quantity
-    const requestedQuantity = quantity || 0;
-    
-    if (requestedQuantity < 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Quantity cannot be negative",
+    if (crop.owner?.ownerEmail === userEmail) {
+      throw new BadRequestError("You cannot show interest in your own crop", {
+        code: "OWN_CROP",
       });
     }
 
-    if (requestedQuantity === 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Quantity must be greater than 0",
-      });
+    const existingInterest = await interestsCollection.findOne({
+      cropId: crop._id,
+      userEmail,
+    });
+
+    if (existingInterest) {
+      throw new BadRequestError(
+        "You have already shown interest in this crop",
+        { code: "DUPLICATE_INTEREST" }
+      );
     }
 
+    // Quantity is validated as > 0 by interestCreateSchema
+    const requestedQuantity = quantity;
+
     // Warning if requested quantity exceeds available (but allow it)
     let warning = null;
     if (requestedQuantity > crop.quantity) {
       warning = `Note: You requested ${requestedQuantity} ${crop.unit}, but only ${crop.quantity} ${crop.unit} is currently available`;
     }
 
+    // The buyer's opening offer; the owner may accept it or counter
+    const offer = offerEntry(
+      proposedPrice ?? crop.pricePerUnit,
+      requestedQuantity,
+      "buyer",
+      userEmail
+    );
+
     const newInterest = {
-      _id: new ObjectId().toString(),
-      cropId,
+      cropId: crop._id,
+      ownerEmail: crop.owner?.ownerEmail,
       userEmail,
       userName,
       quantity: requestedQuantity,
-      message: message || "",
+      message,
+      offer,
+      offers: [offer],
       status: "pending",
+      statusHistory: [historyEntry(null, "pending", "buyer", userEmail)],
       createdAt: new Date(),
     };
 
-    const result = await cropsCollection.updateOne(
-      { _id: new ObjectId(cropId) },
-      {
-        $push: { interests: newInterest },
-        $set: { updatedAt: new Date() },
-      }
-    );
-
-    if (result.modifiedCount === 0) {
-      return res.status(500).json({
-        success: false,
-        message: "Failed to add interest to crop",
+    try {
+      const result = await interestsCollection.insertOne(newInterest);
+      newInterest._id = result.insertedId;
+      interestsCreated.inc();
+      await recordAudit({
+        entityType: "interest",
+        entityId: newInterest._id,
+        action: "create",
+        after: newInterest,
       });
+    } catch (error) {
+      // Unique index on (cropId, userEmail) catches concurrent duplicates
+      if (error.code === 11000) {
+        throw new BadRequestError(
+          "You have already shown interest in this crop",
+          { code: "DUPLICATE_INTEREST" }
+        );
+      }
+      throw error;
     }
 
+    await cropsCollection.updateOne(
+      { _id: crop._id },
+      { $set: { updatedAt: new Date() } }
+    );
+    await notifyInterestCreated(newInterest, crop);
+    await emailInterestCreated(newInterest, crop);
+
     res.status(201).json({
       success: true,
       message: "Interest added successfully",
       warning: warning,
       data: newInterest,
     });
-  } catch (error) {
-    console.error("Error adding interest:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to add interest",
-      error: error.message,
-    });
   }
-});
-
-// GET /api/interests/sent?email=user@example.com - Fetch interests sent by a user
-app.get("/api/interests/sent", ensureDBConnection, async (req, res) => {
-  try {
-    const userEmail = req.query.email;
+);
 
-    if (!userEmail) {
-      return res.status(400).json({
-        success: false,
-        message: "Email query parameter is required",
-      });
-    }
+// GET /api/interests/sent - Fetch interests sent by the signed-in user
+app.get("/api/interests/sent", authenticate, async (req, res) => {
+  const userEmail = req.user.email;
 
-    const cropsWithInterests = await cropsCollection
-      .find({
-        "interests.userEmail": userEmail,
-      })
-      .toArray();
-
-    const sentInterests = cropsWithInterests.flatMap((crop) => {
-      return crop.interests
-        .filter((interest) => interest.userEmail === userEmail)
-        .map((interest) => ({
-          ...interest,
+  const sentInterests = await interestsCollection
+    .aggregate([
+      { $match: { userEmail } },
+      { $sort: { createdAt: -1 } },
+      {
+        $lookup: {
+          from: "crops",
+          localField: "cropId",
+          foreignField: "_id",
+          as: "crop",
+        },
+      },
+      { $unwind: "$crop" },
+      {
+        $set: {
           cropDetails: {
-            _id: crop._id,
-            name: crop.name,
-            type: crop.type,
-            pricePerUnit: crop.pricePerUnit,
-            unit: crop.unit,
-            location: crop.location,
-            image: crop.image,
-            owner: crop.owner,
+            _id: "$crop._id",
+            name: "$crop.name",
+            type: "$crop.type",
+            pricePerUnit: "$crop.pricePerUnit",
+            unit: "$crop.unit",
+            location: "$crop.location",
+            image: "$crop.image",
+            owner: "$crop.owner",
+            deletedAt: "$crop.deletedAt",
           },
-        }));
-    });
+        },
+      },
+      { $unset: "crop" },
+    ])
+    .toArray();
 
-    res.json({
-      success: true,
-      message: "Sent interests fetched successfully",
-      data: sentInterests,
-    });
-  } catch (error) {
-    console.error("Error fetching sent interests:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch sent interests",
-      error: error.message,
-    });
-  }
+  res.json({
+    success: true,
+    message: "Sent interests fetched successfully",
+    data: sentInterests,
+  });
 });
 
-// GET /api/interests/received?email=owner@example.com - Fetch interests for crops owned by user
-app.get("/api/interests/received", ensureDBConnection, async (req, res) => {
-  try {
-    const ownerEmail = req.query.email;
+// GET /api/interests/received - Fetch interests for crops owned by the signed-in user
+app.get("/api/interests/received", authenticate, async (req, res) => {
+  const ownerEmail = req.user.email;
 
-    if (!ownerEmail) {
-      return res.status(400).json({
-        success: false,
-        message: "Email query parameter is required",
-      });
-    }
-
-    const ownedCrops = await cropsCollection
-      .find({
-        "owner.ownerEmail": ownerEmail,
-        "interests.0": { $exists: true },
-      })
-      .toArray();
-
-    const receivedInterests = ownedCrops.flatMap((crop) => {
-      return crop.interests.map((interest) => ({
-        ...interest,
-        cropDetails: {
-          _id: crop._id,
-          name: crop.name,
-          type: crop.type,
-          pricePerUnit: crop.pricePerUnit,
-          unit: crop.unit,
-          quantity: crop.quantity,
-          location: crop.location,
-          image: crop.image,
+  const receivedInterests = await interestsCollection
+    .aggregate([
+      { $match: { ownerEmail } },
+      { $sort: { createdAt: -1 } },
+      {
+        $lookup: {
+          from: "crops",
+          localField: "cropId",
+          foreignField: "_id",
+          as: "crop",
         },
-      }));
+      },
+      { $unwind: "$crop" },
+      {
+        $set: {
+          cropDetails: {
+            _id: "$crop._id",
+            name: "$crop.name",
+            type: "$crop.type",
+            pricePerUnit: "$crop.pricePerUnit",
+            unit: "$crop.unit",
+            quantity: "$crop.quantity",
+            location: "$crop.location",
+            image: "$crop.image",
+            deletedAt: "$crop.deletedAt",
+          },
+        },
+      },
+      { $unset: "crop" },
+    ])
+    .toArray();
+
+  res.json({
+    success: true,
+    message: "Received interests fetched successfully",
+    data: receivedInterests,
+  });
+});
+
+// PATCH /api/interests/:id - Update interest status by interest ID
+app.patch(
+  "/api/interests/:id",
+  authenticate,
+  validateBody(interestStatusSchema),
+  async (req, res) => {
+    const { status, autoRejectRemaining, fulfilment } = req.body;
+
+    const result = await updateInterestStatus({
+      interestId: req.params.id,
+      status,
+      userEmail: req.user.email,
+      autoRejectRemaining,
+      fulfilment,
     });
 
     res.json({
       success: true,
-      message: "Received interests fetched successfully",
-      data: receivedInterests,
-    });
-  } catch (error) {
-    console.error("Error fetching received interests:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch received interests",
-      error: error.message,
+      message: `Interest ${status} successfully`,
+      autoRejected: result.autoRejected,
+      order: result.order,
+      data: result.crop,
     });
   }
-});
-
-// PUT /api/interests/status - Update interest status (accept/reject)
-// PATCH /api/interests/:id - Update interest status by interest ID
-app.patch("/api/interests/:id", ensureDBConnection, async (req, res) => {
-  try {
-    const { id: interestId } = req.params;
-    const { status } = req.body;
-
-    if (!status) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing required field: status",
-      });
-    }
-
-    if (!["accepted", "rejected", "pending", "cancelled"].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid status. Must be 'accepted', 'rejected', 'pending', or 'cancelled'",
-      });
-    }
+);
 
-    // Find the crop that contains this interest
-    const crop = await cropsCollection.findOne({
-      "interests._id": interestId,
+// POST /api/interests/:id/offers - Counter-offer on a pending interest
+app.post(
+  "/api/interests/:id/offers",
+  authenticate,
+  validateBody(interestOfferSchema),
+  async (req, res) => {
+    const { pricePerUnit, quantity, note } = req.body;
+
+    const interest = await makeCounterOffer({
+      interestId: req.params.id,
+      userEmail: req.user.email,
+      pricePerUnit,
+      quantity,
+      note,
     });
 
-    if (!crop) {
-      return res.status(404).json({
-        success: false,
-        message: "Interest not found",
-      });
-    }
-
-    const interest = crop.interests?.find((int) => int._id === interestId);
-
-    if (!interest) {
-      return res.status(404).json({
-        success: false,
-        message: "Interest not found",
-      });
-    }
-
-    // Check if interest is already processed
-    if (interest.status === "accepted" && status === "accepted") {
-      return res.status(400).json({
-        success: false,
-        message: "Interest has already been accepted",
-      });
-    }
-
-    const updateQuery = {
-      $set: {
-        "interests.$[elem].status": status,
-        "interests.$[elem].updatedAt": new Date(),
-        updatedAt: new Date(),
-      },
-    };
-
-    // If accepting, reduce crop quantity with atomic operation to prevent race condition
-    if (status === "accepted" && interest.quantity > 0) {
-      // Check if sufficient quantity is available
-      if (crop.quantity < interest.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient quantity available. Requested: ${interest.quantity}, Available: ${crop.quantity}`,
-        });
-      }
-
-      // Use atomic $inc operation instead of reading and setting
-      updateQuery.$inc = { quantity: -interest.quantity };
-      delete updateQuery.$set.quantity; // Remove the set operation
-    }
-
-    const result = await cropsCollection.updateOne(
-      { 
-        _id: crop._id,
-        // Add condition to ensure quantity doesn't go negative (double-check)
-        ...(status === "accepted" && interest.quantity > 0 
-          ? { quantity: { $gte: interest.quantity } } 
-          : {})
-      },
-      updateQuery,
-      {
-        arrayFilters: [{ "elem._id": interestId }],
-      }
-    );
-
-    if (result.modifiedCount === 0) {
-      return res.status(500).json({
-        success: false,
-        message: "Failed to update interest status",
-      });
-    }
+    res.status(201).json({
+      success: true,
+      message: "Counter-offer sent successfully",
+      data: interest,
+    });
+  }
+);
 
-    const updatedCrop = await cropsCollection.findOne({
-      _id: crop._id,
+// PUT /api/interests/status - Update interest status (legacy endpoint)
+// Deprecated compatibility shim for older mobile clients; use PATCH /api/interests/:id
+app.put(
+  "/api/interests/status",
+  deprecated({
+    sunset: process.env.LEGACY_INTEREST_STATUS_SUNSET,
+    successor: "/api/interests/{id}",
+  }),
+  authenticate,
+  validateBody(legacyInterestStatusSchema),
+  async (req, res) => {
+    const { interestId, cropId, status, autoRejectRemaining, fulfilment } =
+      req.body;
+
+    const result = await updateInterestStatus({
+      interestId,
+      cropId,
+      status,
+      userEmail: req.user.email,
+      autoRejectRemaining,
+      fulfilment,
     });
 
     res.json({
       success: true,
       message: `Interest ${status} successfully`,
-      data: updatedCrop,
-    });
-  } catch (error) {
-    console.error("Error updating interest status:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update interest status",
-      error: error.message,
+      autoRejected: result.autoRejected,
+      order: result.order,
+      data: result.crop,
     });
   }
-});
-
-// PUT /api/interests/status - Update interest status (legacy endpoint)
-app.put("/api/interests/status", ensureDBConnection, async (req, res) => {
-  try {
-    const { interestId, cropId, status } = req.body;
-
-    if (!interestId || !cropId || !status) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing required fields: interestId, cropId, status",
-      });
-    }
-
-    if (!["accepted", "rejected", "pending"].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid status. Must be 'accepted', 'rejected', or 'pending'",
-      });
-    }
-
-    if (!ObjectId.isValid(cropId)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid crop ID",
-      });
-    }
-
-    const crop = await cropsCollection.findOne({ _id: new ObjectId(cropId) });
-
-    if (!crop) {
-      return res.status(404).json({
-        success: false,
-        message: "Crop not found",
-      });
-    }
-
-    const interest = crop.interests?.find((int) => int._id === interestId);
-
-    if (!interest) {
-      return res.status(404).json({
-        success: false,
-        message: "Interest not found",
-      });
-    }
-
-    // Check if interest is already processed
-    if (interest.status === "accepted" && status === "accepted") {
-      return res.status(400).json({
-        success: false,
-        message: "Interest has already been accepted",
-      });
-    }
+);
 
-    const updateQuery = {
-      $set: {
-        "interests.$[elem].status": status,
-        "interests.$[elem].updatedAt": new Date(),
-        updatedAt: new Date(),
-      },
-    };
+// /api/interests/:id/messages - Buyer/owner conversation for an interest
+app.use("/api/interests/:id/messages", messageRoutes);
 
-    // If accepting, reduce crop quantity with atomic operation to prevent race condition
-    if (status === "accepted" && interest.quantity > 0) {
-      // Check if sufficient quantity is available
-      if (crop.quantity < interest.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient quantity available. Requested: ${interest.quantity}, Available: ${crop.quantity}`,
-        });
-      }
+// ==================== ORDERS API ROUTES ====================
 
-      // Use atomic $inc operation instead of reading and setting
-      updateQuery.$inc = { quantity: -interest.quantity };
-      delete updateQuery.$set.quantity; // Remove the set operation
-    }
+app.use("/api/orders", orderRoutes);
 
-    const result = await cropsCollection.updateOne(
-      { 
-        _id: new ObjectId(cropId),
-        // Add condition to ensure quantity doesn't go negative (double-check)
-        ...(status === "accepted" && interest.quantity > 0 
-          ? { quantity: { $gte: interest.quantity } } 
-          : {})
-      },
-      updateQuery,
-      {
-        arrayFilters: [{ "elem._id": interestId }],
-      }
-    );
+// ==================== REVIEWS API ROUTES ====================
 
-    if (result.modifiedCount === 0) {
-      return res.status(500).json({
-        success: false,
-        message: "Failed to update interest status",
-      });
-    }
+// POST /api/reviews - Rate the other party of an accepted deal (1-5 stars)
+app.post(
+  "/api/reviews",
+  authenticate,
+  validateBody(reviewCreateSchema),
+  async (req, res) => {
+    const { interestId, rating, text } = req.body;
 
-    const updatedCrop = await cropsCollection.findOne({
-      _id: new ObjectId(cropId),
+    const result = await createReview({
+      interestId,
+      reviewer: req.user,
+      rating,
+      text,
     });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: `Interest ${status} successfully`,
-      data: updatedCrop,
-    });
-  } catch (error) {
-    console.error("Error updating interest status:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update interest status",
-      error: error.message,
+      message: "Review added successfully",
+      data: result.review,
+      revieweeRating: result.rating,
     });
   }
-});
+);
+
+// ==================== NOTIFICATIONS API ROUTES ====================
+
+app.use("/api/notifications", notificationRoutes);
 
 // ==================== USERS API ROUTES ====================
 
 // POST /api/users - Add new user (on registration)
-app.post("/api/users", ensureDBConnection, async (req, res) => {
-  try {
-    const { email, name, photoURL } = req.body;
-
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        message: "Email is required",
-      });
-    }
+app.post(
+  "/api/users",
+  authenticate,
+  // The web app calls this on every sign-in; only sign-ups count, per IP and
+  // per user
+  rateLimit("users", { skip: (req) => req.user.isRegistered }),
+  validateBody(userCreateSchema),
+  async (req, res) => {
+    const { email } = req.user;
+    const name = req.body.name ?? req.user.name;
+    const photoURL = req.body.photoURL ?? req.user.picture;
+    // Defaults to "user"; "admin" is rejected by userCreateSchema
+    const { role } = req.body;
 
     const existingUser = await usersCollection.findOne({ email });
 
@@ -904,70 +965,101 @@ app.post("/api/users", ensureDBConnection, async (req, res) => {
       email,
       name: name || "",
       photoURL: photoURL || "",
-      role: "user",
+      role,
+      status: "active",
       createdAt: new Date(),
       updatedAt: new Date(),
     };
 
     const result = await usersCollection.insertOne(newUser);
+    await recordAudit({
+      entityType: "user",
+      entityId: result.insertedId,
+      action: "create",
+      after: newUser,
+    });
 
     res.status(201).json({
       success: true,
       message: "User created successfully",
       data: { ...newUser, _id: result.insertedId },
     });
-  } catch (error) {
-    console.error("Error creating user:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to create user",
-      error: error.message,
-    });
   }
-});
+);
 
 // GET /api/users/:email - Fetch user by email
 app.get("/api/users/:email", ensureDBConnection, async (req, res) => {
-  try {
-    const email = req.params.email;
+  const email = req.params.email;
 
-    const user = await usersCollection.findOne({ email });
+  const user = await usersCollection.findOne({ email });
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
-    }
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  // Kept up to date by refreshUserRating whenever a review is added
+  user.rating = user.rating || { average: null, count: 0 };
+
+  res.json({
+    success: true,
+    message: "User fetched successfully",
+    data: user,
+  });
+});
+
+// GET /api/users/:email/reviews?page=1&limit=20 - Reviews a user received
+app.get(
+  "/api/users/:email/reviews",
+  ensureDBConnection,
+  validateQuery(reviewListQuerySchema),
+  async (req, res) => {
+    const email = req.params.email;
+    const { page, limit } = req.validatedQuery;
+
+    const [reviews, total, user] = await Promise.all([
+      reviewsCollection
+        .find({ revieweeEmail: email })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      reviewsCollection.countDocuments({ revieweeEmail: email }),
+      usersCollection.findOne({ email }, { projection: { rating: 1 } }),
+    ]);
 
     res.json({
       success: true,
-      message: "User fetched successfully",
-      data: user,
-    });
-  } catch (error) {
-    console.error("Error fetching user:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch user",
-      error: error.message,
+      message: "Reviews fetched successfully",
+      data: reviews,
+      meta: buildPageMeta({
+        page,
+        limit,
+        total,
+        rating: user?.rating || { average: null, count: 0 },
+      }),
     });
   }
-});
+);
 
 // PUT /api/users/:email - Update user profile
-app.put("/api/users/:email", ensureDBConnection, async (req, res) => {
-  try {
+app.put(
+  "/api/users/:email",
+  authenticate,
+  validateBody(userUpdateSchema, { partial: true }),
+  async (req, res) => {
     const email = req.params.email;
     const { name, photoURL, phone, address, bio } = req.body;
 
+    if (email !== req.user.email) {
+      throw new ForbiddenError(
+        "Unauthorized: You can only update your own profile"
+      );
+    }
+
     const existingUser = await usersCollection.findOne({ email });
 
     if (!existingUser) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
+      throw new NotFoundError("User not found");
     }
 
     const updateData = {
@@ -980,92 +1072,157 @@ app.put("/api/users/:email", ensureDBConnection, async (req, res) => {
     if (address !== undefined) updateData.address = address;
     if (bio !== undefined) updateData.bio = bio;
 
-    const result = await usersCollection.updateOne(
-      { email },
-      { $set: updateData }
-    );
+    const userUpdate = { $set: updateData };
+
+    // A photo URL set by hand replaces the uploaded avatar
+    const replacesAvatar =
+      existingUser.avatar &&
+      photoURL !== undefined &&
+      photoURL !== existingUser.avatar.url;
+
+    if (replacesAvatar) {
+      userUpdate.$unset = { avatar: "" };
+    }
+
+    const result = await usersCollection.updateOne({ email }, userUpdate);
 
     if (result.modifiedCount === 0) {
-      return res.status(400).json({
-        success: false,
-        message: "No changes made to user profile",
-      });
+      throw new BadRequestError("No changes made to user profile");
+    }
+
+    if (replacesAvatar) {
+      await deleteImages([existingUser.avatar]);
     }
 
     const updatedUser = await usersCollection.findOne({ email });
+    await recordAudit({
+      entityType: "user",
+      entityId: updatedUser._id,
+      action: "update",
+      before: existingUser,
+      after: updatedUser,
+    });
 
     res.json({
       success: true,
       message: "User profile updated successfully",
       data: updatedUser,
     });
-  } catch (error) {
-    console.error("Error updating user:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update user profile",
-      error: error.message,
-    });
   }
+);
+
+// GET /api/users - Get all users (admin only)
+app.get("/api/users", authenticate, requireRole("admin"), async (req, res) => {
+  const users = await usersCollection.find().toArray();
+
+  res.json({
+    success: true,
+    message: "Users fetched successfully",
+    data: users,
+  });
 });
 
-// GET /api/users - Get all users (optional, for admin purposes)
-app.get("/api/users", ensureDBConnection, async (req, res) => {
-  try {
-    const users = await usersCollection.find().toArray();
+// ==================== ME API ROUTES ====================
+
+// GET /api/me/crops?status=rejected&page=1&limit=20 - Owner dashboard: the
+// signed-in owner's listings in every status (with the moderation decision),
+// each with interest counts per status, quantities and remaining stock.
+// ?deleted=true lists deleted crops with the date they can be restored until.
+app.get(
+  "/api/me/crops",
+  authenticate,
+  validateQuery(myCropsQuerySchema),
+  async (req, res) => {
+    const { status, deleted, page, limit } = req.validatedQuery;
+
+    const { crops, total, byStatus, deletedCount } = await findOwnerCrops({
+      ownerEmail: req.user.email,
+      status,
+      deleted,
+      page,
+      limit,
+    });
 
     res.json({
       success: true,
-      message: "Users fetched successfully",
-      data: users,
+      message: "Your crops fetched successfully",
+      data: crops,
+      meta: buildPageMeta({ page, limit, total, byStatus, deletedCount }),
     });
-  } catch (error) {
-    console.error("Error fetching users:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch users",
-      error: error.message,
+  }
+);
+
+// POST /api/me/avatar - Upload a profile photo (multipart field "avatar");
+// replaces photoURL and removes the previously uploaded avatar
+app.post(
+  "/api/me/avatar",
+  authenticate,
+  uploadImages("avatar", 1),
+  async (req, res) => {
+    const user = await usersCollection.findOne({ email: req.user.email });
+
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    const { image, error } = await storeImage(
+      req.files[0],
+      `avatars/${user._id}`
+    );
+
+    if (error) {
+      throw new ValidationError(error);
+    }
+
+    const updatedUser = await usersCollection.findOneAndUpdate(
+      { _id: user._id },
+      { $set: { photoURL: image.url, avatar: image, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    await recordAudit({
+      entityType: "user",
+      entityId: user._id,
+      action: "avatar",
+      before: user,
+      after: updatedUser,
+    });
+    await deleteImages([user.avatar]);
+
+    res.json({
+      success: true,
+      message: "Profile photo updated successfully",
+      data: updatedUser,
     });
   }
-});
+);
+
+// ==================== ADMIN API ROUTES ====================
+
+app.use("/api/admin", adminRoutes);
 
 // ==================== ERROR HANDLERS ====================
 
 // 404 Handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: "Route not found",
-  });
-});
+app.use(notFound);
 
-// Global Error Handler
-app.use((err, req, res, next) => {
-  console.error("Global error:", err);
-
-  const isDatabaseError =
-    err.message?.includes("Database") ||
-    err.message?.includes("MongoDB") ||
-    err.message?.includes("connect");
-
-  res.status(isDatabaseError ? 503 : 500).json({
-    success: false,
-    message: isDatabaseError
-      ? "Database connection error. Please try again."
-      : "Internal server error",
-    error: process.env.NODE_ENV === "development" ? err.message : undefined,
-  });
-});
+// Global Error Handler (every thrown or rejected error ends up here)
+app.use(errorHandler);
 
 // ==================== START SERVER ====================
 
 // Start server only in non-Vercel environment
 if (process.env.NODE_ENV !== "production") {
   app.listen(port, () => {
-    console.log(`🚀 KrishiLink server running on port ${port}`);
-    console.log(`📡 API Base URL: http://localhost:${port}`);
-    console.log(`🌍 Environment: ${process.env.NODE_ENV || "development"}`);
+    logger.info("KrishiLink server running", {
+      port: Number(port),
+      baseUrl: `http://localhost:${port}`,
+      environment: process.env.NODE_ENV || "development",
+    });
   });
+
+  // Retries failed emails; serverless deployments run `npm run email:outbox`
+  // on a schedule instead
+  startOutboxWorker(Number(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 60000);
 }
 
 // Export for Vercel serverless functions
@@ -0,0 +1,9 @@
+import { ensureDBConnection } from "../config/db.js";
+import verifyToken from "./verifyToken.js";
+import loadUser from "./loadUser.js";
+
+// Full authentication chain for write routes: verify the ID token, make sure
+// the database is reachable, then load the account (rejecting suspended users)
+const authenticate = [verifyToken, ensureDBConnection, loadUser];
+
+export default authenticate;
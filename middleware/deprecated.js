@@ -0,0 +1,20 @@
+// Marks a route as deprecated with `Deprecation`, optional `Sunset` and a
+// `Link` to its successor, so older clients can keep working while warned.
+const deprecated =
+  ({ sunset, successor } = {}) =>
+  (req, res, next) => {
+    res.set("Deprecation", "true");
+
+    const sunsetDate = sunset ? new Date(sunset) : null;
+    if (sunsetDate && !Number.isNaN(sunsetDate.getTime())) {
+      res.set("Sunset", sunsetDate.toUTCString());
+    }
+
+    if (successor) {
+      res.set("Link", `<${successor}>; rel="successor-version"`);
+    }
+
+    next();
+  };
+
+export default deprecated;
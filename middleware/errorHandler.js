@@ -0,0 +1,104 @@
+import {
+  MongoNetworkError,
+  MongoNotConnectedError,
+  MongoServerSelectionError,
+  MongoTopologyClosedError,
+} from "mongodb";
+import {
+  AppError,
+  ConflictError,
+  NotFoundError,
+  UnavailableError,
+  ValidationError,
+} from "../errors/appErrors.js";
+import logger from "../config/logger.js";
+import { routePattern } from "../services/requestContext.js";
+
+const DATABASE_ERRORS = [
+  MongoNetworkError,
+  MongoNotConnectedError,
+  MongoServerSelectionError,
+  MongoTopologyClosedError,
+];
+
+// Errors that are not AppErrors but still have a known meaning
+function toAppError(err) {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  if (DATABASE_ERRORS.some((ErrorClass) => err instanceof ErrorClass)) {
+    return new UnavailableError("Database connection error. Please try again.", {
+      code: "DATABASE_UNAVAILABLE",
+    });
+  }
+
+  // A $text or $geoNear query without its index (logged at startup when the
+  // index could not be created)
+  if (err.code === 27 || err.code === 291) {
+    return new UnavailableError("Search is temporarily unavailable", {
+      code: "SEARCH_UNAVAILABLE",
+      cause: err,
+    });
+  }
+
+  // A unique index rejected the write (a race the route did not check for)
+  if (err.code === 11000) {
+    return new ConflictError("A record with the same values already exists", {
+      code: "DUPLICATE_KEY",
+    });
+  }
+
+  // Body parser errors carry a 4xx status and a message safe to show
+  if (err.type === "entity.parse.failed") {
+    return new ValidationError("Request body is not valid JSON", {
+      code: "INVALID_JSON",
+    });
+  }
+
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new AppError(err.message, {
+      status: err.status,
+      code: "BAD_REQUEST",
+    });
+  }
+
+  return null;
+}
+
+// 404 for requests no route matched
+export const notFound = (req, res, next) => {
+  next(new NotFoundError("Route not found", { code: "ROUTE_NOT_FOUND" }));
+};
+
+// The one place error responses are built. Unexpected errors are logged and
+// answered with a generic 500; the underlying message is only sent in
+// development. Express recognises error handlers by their four parameters.
+export const errorHandler = (err, req, res, next) => {
+  const appError = toAppError(err);
+  const status = appError?.status || 500;
+  const detail = appError === err ? err.cause?.message : err.message;
+
+  if (status >= 500) {
+    logger.error("Request failed", {
+      method: req.method,
+      route: routePattern(req) ?? req.path,
+      error: err,
+    });
+  }
+
+  // Too late for an error response (e.g. a stream that already started)
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  res.status(status).json({
+    success: false,
+    message: appError?.message || "Internal server error",
+    code: appError?.code || "INTERNAL_ERROR",
+    errors: appError?.errors,
+    data: appError?.data,
+    requestId: req.id,
+    error: process.env.NODE_ENV === "development" ? detail : undefined,
+  });
+};
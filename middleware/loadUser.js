@@ -0,0 +1,24 @@
+import { usersCollection } from "../config/db.js";
+import { ForbiddenError } from "../errors/appErrors.js";
+
+// Loads the verified user's account, attaching role and status to req.user.
+// Suspended accounts are blocked here, so every write route must use it.
+// Must run after verifyToken and ensureDBConnection.
+const loadUser = async (req, res, next) => {
+  const account = await usersCollection.findOne({ email: req.user.email });
+
+  req.user.role = account?.role || "user";
+  req.user.status = account?.status || "active";
+  req.user.isRegistered = Boolean(account);
+
+  if (req.user.status === "suspended") {
+    throw new ForbiddenError("Your account has been suspended", {
+      code: "ACCOUNT_SUSPENDED",
+      data: { reason: account.suspension?.reason || undefined },
+    });
+  }
+
+  next();
+};
+
+export default loadUser;
@@ -0,0 +1,35 @@
+import authenticate from "./authenticate.js";
+
+// Runs one middleware and settles once it calls next() or throws. The
+// authenticate steps are async and throw their errors, which Express only
+// catches for middleware it calls itself.
+function runStep(step, req, res) {
+  return new Promise((resolve, reject) => {
+    const done = (error) => (error ? reject(error) : resolve());
+    Promise.resolve(step(req, res, done)).catch(reject);
+  });
+}
+
+// For public routes that show more to signed-in users: runs the full
+// authenticate chain when an Authorization header is sent, otherwise
+// continues anonymously with req.user unset. A bad token is still a 401 and
+// a suspended account a 403; a valid token for an unverified email is read
+// anonymously.
+const optionalAuthenticate = async (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+
+  try {
+    for (const step of authenticate) {
+      await runStep(step, req, res);
+    }
+  } catch (error) {
+    if (error.code !== "EMAIL_NOT_VERIFIED") throw error;
+    delete req.user;
+  }
+
+  next();
+};
+
+export default optionalAuthenticate;
@@ -0,0 +1,115 @@
+import { getRateLimitStore } from "../services/rateLimitStores.js";
+import { AppError } from "../errors/appErrors.js";
+import logger from "../config/logger.js";
+
+// Limits per route group: at most `perIp` requests from one IP address and
+// `perUser` requests from one account in each window. Each value can be
+// overridden with RATE_LIMIT_<GROUP>_WINDOW_SECONDS, _PER_IP and _PER_USER;
+// a limit of 0 turns that check off.
+const DEFAULT_LIMITS = {
+  crops: { windowSeconds: 60 * 60, perIp: 60, perUser: 20 },
+  interests: { windowSeconds: 15 * 60, perIp: 60, perUser: 20 },
+  users: { windowSeconds: 60 * 60, perIp: 20, perUser: 5 },
+};
+
+const envLimit = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isInteger(value) && value >= 0
+    ? value
+    : fallback;
+};
+
+export const RATE_LIMITS = Object.fromEntries(
+  Object.entries(DEFAULT_LIMITS).map(([group, limits]) => {
+    const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+
+    return [
+      group,
+      {
+        windowSeconds:
+          Number(process.env[`${prefix}_WINDOW_SECONDS`]) ||
+          limits.windowSeconds,
+        perIp: envLimit(`${prefix}_PER_IP`, limits.perIp),
+        perUser: envLimit(`${prefix}_PER_USER`, limits.perUser),
+      },
+    ];
+  })
+);
+
+// Counts the request against the group's per-IP limit and, after
+// authentication, its per-user limit. Sets the RateLimit-* headers for the
+// tighter of the two and returns 429 with Retry-After once either is used
+// up. If the store fails the request is let through: an outage of the
+// counters must not take the API down with it.
+//
+// `by: "ip"` or `by: "user"` checks only one of the limits, so the per-IP
+// limit can run before authentication (and also protects token checks).
+// Requests for which `skip(req)` is true are not counted.
+const rateLimit = (group, { by, skip } = {}) => {
+  const limits = RATE_LIMITS[group];
+
+  if (!limits) {
+    throw new Error(`Unknown rate limit group '${group}'`);
+  }
+
+  const windowMs = limits.windowSeconds * 1000;
+
+  return async (req, res, next) => {
+    if (skip?.(req)) {
+      return next();
+    }
+
+    const checks = [];
+    if (limits.perIp > 0 && by !== "user") {
+      checks.push({ key: `${group}:ip:${req.ip}`, limit: limits.perIp });
+    }
+    if (limits.perUser > 0 && by !== "ip" && req.user?.email) {
+      checks.push({ key: `${group}:user:${req.user.email}`, limit: limits.perUser });
+    }
+
+    if (checks.length === 0) {
+      return next();
+    }
+
+    let results;
+    try {
+      const store = getRateLimitStore();
+      results = await Promise.all(
+        checks.map(async ({ key, limit }) => ({
+          limit,
+          ...(await store.hit(key, windowMs)),
+        }))
+      );
+    } catch (error) {
+      logger.error("Rate limit check failed", { group, error });
+      return next();
+    }
+
+    const tightest = results.reduce((a, b) =>
+      b.limit - b.count < a.limit - a.count ? b : a
+    );
+    const resetSeconds = Math.max(
+      1,
+      Math.ceil((tightest.resetAt.getTime() - Date.now()) / 1000)
+    );
+
+    res.set({
+      "RateLimit-Policy": `${tightest.limit};w=${limits.windowSeconds}`,
+      "RateLimit-Limit": String(tightest.limit),
+      "RateLimit-Remaining": String(Math.max(0, tightest.limit - tightest.count)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (tightest.count > tightest.limit) {
+      res.set("Retry-After", String(resetSeconds));
+      throw new AppError(
+        `Too many requests. Try again in ${resetSeconds} seconds`,
+        { status: 429, code: "RATE_LIMITED" }
+      );
+    }
+
+    next();
+  };
+};
+
+export default rateLimit;
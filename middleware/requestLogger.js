@@ -0,0 +1,65 @@
+import { randomUUID } from "node:crypto";
+import logger from "../config/logger.js";
+import { runWithRequest, routePattern } from "../services/requestContext.js";
+import { observeRequest } from "../services/metrics.js";
+
+// A caller's id (e.g. from a proxy or the web app) is kept if it is short
+// and plain; otherwise a new one is made
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Probes and scrapes arrive every few seconds; their successes log as debug
+const QUIET_ROUTES = ["/health", "/health/live", "/health/ready", "/metrics"];
+
+// Gives each request an id, echoed in X-Request-Id, runs the rest of the
+// chain in its request context, and writes one access log line (and the
+// request metrics) when the response is finished or the client goes away.
+const requestLogger = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  const incomingId = req.get("X-Request-Id");
+
+  req.id = REQUEST_ID_PATTERN.test(incomingId || "")
+    ? incomingId
+    : randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  let logged = false;
+  const logRequest = () => {
+    if (logged) return;
+    logged = true;
+
+    const status = res.headersSent ? res.statusCode : null;
+    const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    // The route pattern (/api/crops/:id) rather than the URL, which can hold
+    // ids, emails and query strings
+    const route = routePattern(req);
+
+    let level = "info";
+    if (!status || status >= 500) level = "error";
+    else if (status >= 400) level = "warn";
+    else if (QUIET_ROUTES.includes(route)) level = "debug";
+
+    logger[level]("Request completed", {
+      requestId: req.id,
+      method: req.method,
+      route: route ?? req.path,
+      status,
+      durationMs: Math.round(durationSeconds * 10000) / 10,
+      user: req.user ? { uid: req.user.uid, role: req.user.role } : null,
+      aborted: !res.writableFinished,
+    });
+
+    observeRequest({
+      method: req.method,
+      route: route ?? "unmatched",
+      status,
+      durationSeconds,
+    });
+  };
+
+  res.on("finish", logRequest);
+  res.on("close", logRequest);
+
+  runWithRequest(req, next);
+};
+
+export default requestLogger;
@@ -0,0 +1,27 @@
+import { ForbiddenError } from "../errors/appErrors.js";
+
+export const ROLES = ["user", "farmer", "buyer", "admin"];
+
+// Roles allowed to self-assign at registration
+export const SELF_ASSIGNABLE_ROLES = ["user", "farmer", "buyer"];
+
+// "user" is a general member that can both sell and buy
+export const SELLER_ROLES = ["user", "farmer", "admin"];
+export const BUYER_ROLES = ["user", "buyer", "admin"];
+
+// Restricts a route to the given roles. Must run after loadUser.
+const requireRole =
+  (...allowedRoles) =>
+  (req, res, next) => {
+    const roles = allowedRoles.flat();
+
+    if (!roles.includes(req.user?.role)) {
+      throw new ForbiddenError(
+        `Forbidden: Requires one of the following roles: ${roles.join(", ")}`
+      );
+    }
+
+    next();
+  };
+
+export default requireRole;
@@ -0,0 +1,73 @@
+import { AsyncResource } from "node:async_hooks";
+import multer from "multer";
+import { IMAGE_MIME_TYPES, MAX_IMAGE_BYTES } from "../services/images.js";
+import { AppError, ValidationError } from "../errors/appErrors.js";
+
+const MAX_IMAGE_MB = Math.round((MAX_IMAGE_BYTES / (1024 * 1024)) * 10) / 10;
+
+// Files are kept in memory: they are resized before anything is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error("Only JPEG, PNG or WebP images are allowed");
+      error.code = "UNSUPPORTED_IMAGE_TYPE";
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+// Multer reports both a wrong field name and too many files in the right
+// field as LIMIT_UNEXPECTED_FILE
+const uploadError = (err, field, maxCount) => {
+  switch (err.code) {
+    case "LIMIT_FILE_SIZE":
+      return new AppError(`Each image must be at most ${MAX_IMAGE_MB} MB`, {
+        status: 413,
+        code: "FILE_TOO_LARGE",
+        cause: err,
+      });
+    case "LIMIT_UNEXPECTED_FILE":
+      return new ValidationError(
+        err.field === field
+          ? `Upload at most ${maxCount} image(s) at a time`
+          : `Images must be sent in the '${field}' field`,
+        { cause: err }
+      );
+    case "UNSUPPORTED_IMAGE_TYPE":
+      return new AppError(err.message, {
+        status: 415,
+        code: "UNSUPPORTED_MEDIA_TYPE",
+      });
+    default:
+      return new ValidationError("Invalid upload", { cause: err });
+  }
+};
+
+// Parses a multipart/form-data upload of up to `maxCount` images in `field`
+// into req.files. Size, count and type problems return 4xx responses, and a
+// request without any image returns 400.
+//
+// The callback runs from stream events, so it is bound to this request's
+// async context (used by the logger and the audit log).
+const uploadImages = (field, maxCount) => (req, res, next) => {
+  const done = AsyncResource.bind((err) => {
+    if (err) {
+      return next(uploadError(err, field, maxCount));
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return next(
+        new ValidationError(`Attach at least one image in the '${field}' field`)
+      );
+    }
+
+    next();
+  });
+
+  upload.array(field, maxCount)(req, res, done);
+};
+
+export default uploadImages;
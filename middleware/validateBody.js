@@ -0,0 +1,19 @@
+import { validate } from "../validation/validate.js";
+import { ValidationError } from "../errors/appErrors.js";
+
+// Validates req.body against a schema and replaces it with the sanitized
+// value. Failures return 400 with every invalid field listed.
+const validateBody =
+  (schema, options = {}) =>
+  (req, res, next) => {
+    const { value, errors } = validate(schema, req.body, options);
+
+    if (errors.length > 0) {
+      throw new ValidationError("Validation failed", { errors });
+    }
+
+    req.body = value;
+    next();
+  };
+
+export default validateBody;
@@ -0,0 +1,17 @@
+import { validate } from "../validation/validate.js";
+import { ValidationError } from "../errors/appErrors.js";
+
+// Validates req.query against a schema. Express 5 makes req.query read-only,
+// so the sanitized, type-coerced value is exposed as req.validatedQuery.
+const validateQuery = (schema) => (req, res, next) => {
+  const { value, errors } = validate(schema, req.query);
+
+  if (errors.length > 0) {
+    throw new ValidationError("Invalid query parameters", { errors });
+  }
+
+  req.validatedQuery = value;
+  next();
+};
+
+export default validateQuery;
@@ -0,0 +1,64 @@
+import { verifyIdToken } from "../config/firebase.js";
+import logger from "../config/logger.js";
+import {
+  UnauthorizedError,
+  ForbiddenError,
+  UnavailableError,
+} from "../errors/appErrors.js";
+
+// Verifies the `Authorization: Bearer <idToken>` header and attaches the
+// decoded identity to req.user. Accounts and ownership are keyed on the
+// email, so it must be verified: otherwise anyone could sign up with
+// another person's address and act as them.
+const verifyToken = async (req, res, next) => {
+  const authHeader = req.headers.authorization || "";
+  const [scheme, idToken] = authHeader.split(" ");
+
+  if (scheme !== "Bearer" || !idToken) {
+    throw new UnauthorizedError("Unauthorized: No token provided", {
+      code: "TOKEN_MISSING",
+    });
+  }
+
+  let decoded;
+
+  try {
+    decoded = await verifyIdToken(idToken);
+  } catch (error) {
+    if (error.code === "auth/not-configured") {
+      logger.error("Authentication is not configured", { error });
+      throw new UnavailableError("Authentication service unavailable", {
+        code: "AUTH_UNAVAILABLE",
+        cause: error,
+      });
+    }
+
+    throw new UnauthorizedError("Unauthorized: Invalid or expired token", {
+      code: "TOKEN_INVALID",
+      cause: error,
+    });
+  }
+
+  if (!decoded.email) {
+    throw new UnauthorizedError("Unauthorized: Token has no email address", {
+      code: "TOKEN_INVALID",
+    });
+  }
+
+  if (decoded.email_verified !== true) {
+    throw new ForbiddenError("Verify your email address to continue", {
+      code: "EMAIL_NOT_VERIFIED",
+    });
+  }
+
+  req.user = {
+    uid: decoded.uid,
+    email: decoded.email,
+    name: decoded.name || "",
+    picture: decoded.picture || "",
+  };
+
+  next();
+};
+
+export default verifyToken;
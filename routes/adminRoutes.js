@@ -0,0 +1,331 @@
+import express from "express";
+import logger from "../config/logger.js";
+import {
+  cropsCollection,
+  usersCollection,
+  ordersCollection,
+} from "../config/db.js";
+import authenticate from "../middleware/authenticate.js";
+import requireRole, { ROLES } from "../middleware/requireRole.js";
+import validateBody from "../middleware/validateBody.js";
+import validateQuery from "../middleware/validateQuery.js";
+import {
+  ValidationError,
+  BadRequestError,
+  NotFoundError,
+} from "../errors/appErrors.js";
+import { changeCropStatus } from "../services/cropModeration.js";
+import { buildPageMeta } from "../services/crops.js";
+import { NOT_DELETED, removeCropAsAdmin } from "../services/cropDeletion.js";
+import { recordAudit, findAuditEntries } from "../services/audit.js";
+import {
+  userRoleSchema,
+  userSuspendSchema,
+  cropRejectSchema,
+  cropRemoveSchema,
+  adminCropQuerySchema,
+  adminOrderQuerySchema,
+  adminAuditQuerySchema,
+} from "../validation/schemas.js";
+
+const router = express.Router();
+
+// Every admin route requires a verified, active admin account
+router.use(authenticate, requireRole("admin"));
+
+// ==================== USERS ====================
+
+// Reloads a user after an admin change and records it in the audit log.
+// Returns the updated user.
+async function auditUserChange(previousUser, action) {
+  const updatedUser = await usersCollection.findOne({ _id: previousUser._id });
+
+  await recordAudit({
+    entityType: "user",
+    entityId: previousUser._id,
+    action,
+    before: previousUser,
+    after: updatedUser,
+  });
+
+  return updatedUser;
+}
+
+// GET /api/admin/users?role=farmer&status=suspended - List users with optional filters
+router.get("/users", async (req, res) => {
+  const { role, status } = req.query;
+  const filter = {};
+
+  if (role) {
+    if (!ROLES.includes(role)) {
+      throw new ValidationError(
+        `Invalid role. Must be one of: ${ROLES.join(", ")}`
+      );
+    }
+    filter.role = role;
+  }
+
+  if (status) {
+    if (!["active", "suspended"].includes(status)) {
+      throw new ValidationError(
+        "Invalid status. Must be 'active' or 'suspended'"
+      );
+    }
+    // Accounts created before statuses existed have no status field
+    filter.status = status === "active" ? { $ne: "suspended" } : status;
+  }
+
+  const users = await usersCollection
+    .find(filter)
+    .sort({ createdAt: -1 })
+    .toArray();
+
+  res.json({
+    success: true,
+    message: "Users fetched successfully",
+    data: users,
+  });
+});
+
+// PATCH /api/admin/users/:email/role - Change a user's role
+router.patch(
+  "/users/:email/role",
+  validateBody(userRoleSchema),
+  async (req, res) => {
+    const email = req.params.email;
+    const { role } = req.body;
+
+    if (email === req.user.email) {
+      throw new BadRequestError("You cannot change your own role");
+    }
+
+    const previousUser = await usersCollection.findOneAndUpdate(
+      { email },
+      { $set: { role, updatedAt: new Date() } }
+    );
+
+    if (!previousUser) {
+      throw new NotFoundError("User not found");
+    }
+
+    const updatedUser = await auditUserChange(previousUser, "role");
+
+    res.json({
+      success: true,
+      message: `User role changed to ${role}`,
+      data: updatedUser,
+    });
+  }
+);
+
+// PATCH /api/admin/users/:email/suspend - Suspend a user (blocks all write routes)
+router.patch(
+  "/users/:email/suspend",
+  validateBody(userSuspendSchema),
+  async (req, res) => {
+    const email = req.params.email;
+    const { reason } = req.body;
+
+    if (email === req.user.email) {
+      throw new BadRequestError("You cannot suspend your own account");
+    }
+
+    const previousUser = await usersCollection.findOneAndUpdate(
+      { email },
+      {
+        $set: {
+          status: "suspended",
+          suspension: {
+            reason,
+            suspendedBy: req.user.email,
+            suspendedAt: new Date(),
+          },
+          updatedAt: new Date(),
+        },
+      }
+    );
+
+    if (!previousUser) {
+      throw new NotFoundError("User not found");
+    }
+
+    const updatedUser = await auditUserChange(previousUser, "suspend");
+
+    res.json({
+      success: true,
+      message: "User suspended successfully",
+      data: updatedUser,
+    });
+  }
+);
+
+// PATCH /api/admin/users/:email/reactivate - Lift a suspension
+router.patch("/users/:email/reactivate", async (req, res) => {
+  const email = req.params.email;
+
+  const previousUser = await usersCollection.findOneAndUpdate(
+    { email },
+    {
+      $set: { status: "active", updatedAt: new Date() },
+      $unset: { suspension: "" },
+    }
+  );
+
+  if (!previousUser) {
+    throw new NotFoundError("User not found");
+  }
+
+  const updatedUser = await auditUserChange(previousUser, "reactivate");
+
+  res.json({
+    success: true,
+    message: "User reactivated successfully",
+    data: updatedUser,
+  });
+});
+
+// ==================== CROPS ====================
+
+// GET /api/admin/crops?status=pending&page=1&limit=20 - Moderation queue
+// (pending crops are listed oldest first so none are left waiting)
+router.get("/crops", validateQuery(adminCropQuerySchema), async (req, res) => {
+  const { status, page, limit } = req.validatedQuery;
+  const direction = status === "pending" ? 1 : -1;
+  const filter = { status, ...NOT_DELETED };
+
+  const [crops, total] = await Promise.all([
+    cropsCollection
+      .find(filter)
+      .sort({ createdAt: direction, _id: direction })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    cropsCollection.countDocuments(filter),
+  ]);
+
+  res.json({
+    success: true,
+    message: "Crops fetched successfully",
+    data: crops,
+    meta: buildPageMeta({ page, limit, total, status }),
+  });
+});
+
+// PATCH /api/admin/crops/:id/approve - Publish a pending or rejected listing
+router.patch("/crops/:id/approve", async (req, res) => {
+  const crop = await changeCropStatus({
+    cropId: req.params.id,
+    status: "approved",
+    actor: "admin",
+    actorEmail: req.user.email,
+  });
+
+  res.json({
+    success: true,
+    message: "Crop approved successfully",
+    data: crop,
+  });
+});
+
+// PATCH /api/admin/crops/:id/reject - Reject a listing with a reason shown to the owner
+router.patch(
+  "/crops/:id/reject",
+  validateBody(cropRejectSchema),
+  async (req, res) => {
+    const crop = await changeCropStatus({
+      cropId: req.params.id,
+      status: "rejected",
+      actor: "admin",
+      actorEmail: req.user.email,
+      reason: req.body.reason,
+    });
+
+    res.json({
+      success: true,
+      message: "Crop rejected successfully",
+      data: crop,
+    });
+  }
+);
+
+// DELETE /api/admin/crops/:id - Remove any crop listing (soft delete; its
+// pending interests are withdrawn and its records kept)
+router.delete(
+  "/crops/:id",
+  validateBody(cropRemoveSchema),
+  async (req, res) => {
+    const result = await removeCropAsAdmin({
+      cropId: req.params.id,
+      adminEmail: req.user.email,
+      reason: req.body.reason,
+    });
+
+    logger.info("Admin removed crop", {
+      adminEmail: req.user.email,
+      cropId: result.crop._id,
+      reason: result.crop.removalReason,
+    });
+
+    res.json({
+      success: true,
+      message: "Crop removed by admin",
+      data: {
+        deletedCount: 1,
+        deletedAt: result.crop.deletedAt,
+        interestsWithdrawn: result.withdrawn,
+      },
+    });
+  }
+);
+
+// ==================== ORDERS ====================
+
+// GET /api/admin/orders?status=disputed&page=1&limit=20 - Orders by status
+// (disputes are resolved with PATCH /api/orders/:id)
+router.get(
+  "/orders",
+  validateQuery(adminOrderQuerySchema),
+  async (req, res) => {
+    const { status, page, limit } = req.validatedQuery;
+
+    const [orders, total] = await Promise.all([
+      ordersCollection
+        .find({ status })
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      ordersCollection.countDocuments({ status }),
+    ]);
+
+    res.json({
+      success: true,
+      message: "Orders fetched successfully",
+      data: orders,
+      meta: buildPageMeta({ page, limit, total, status }),
+    });
+  }
+);
+
+// ==================== AUDIT LOG ====================
+
+// GET /api/admin/audit?entityType=crop&entityId=...&actorEmail=...&from=&to=
+// - Audit entries, newest first
+router.get("/audit", validateQuery(adminAuditQuerySchema), async (req, res) => {
+  const { page, limit, ...query } = req.validatedQuery;
+
+  const { entries, total } = await findAuditEntries({
+    ...query,
+    page,
+    limit,
+  });
+
+  res.json({
+    success: true,
+    message: "Audit entries fetched successfully",
+    data: entries,
+    meta: buildPageMeta({ page, limit, total }),
+  });
+});
+
+export default router;
@@ -0,0 +1,195 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+import { cropsCollection } from "../config/db.js";
+import authenticate from "../middleware/authenticate.js";
+import uploadImages from "../middleware/uploadImages.js";
+import {
+  ValidationError,
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} from "../errors/appErrors.js";
+import {
+  MAX_CROP_IMAGES,
+  storeImages,
+  deleteImages,
+} from "../services/images.js";
+import { resubmissionEntry } from "../services/cropModeration.js";
+import { recordAudit } from "../services/audit.js";
+
+// Mounted at /api/crops/:id/images
+const router = express.Router({ mergeParams: true });
+
+// Loads the crop and makes sure the caller owns it. Runs before the upload
+// is parsed, so nobody else can make the server read their files.
+const loadOwnCrop = async (req, res, next) => {
+  if (!ObjectId.isValid(req.params.id)) {
+    throw new ValidationError("Invalid crop ID");
+  }
+
+  const crop = await cropsCollection.findOne({
+    _id: new ObjectId(req.params.id),
+  });
+
+  if (!crop) {
+    throw new NotFoundError("Crop not found");
+  }
+
+  if (crop.owner?.ownerEmail !== req.user.email) {
+    throw new ForbiddenError(
+      "Unauthorized: You can only change images of your own crops"
+    );
+  }
+
+  if (crop.deletedAt) {
+    throw new BadRequestError(
+      "Deleted crops must be restored before they can be changed"
+    );
+  }
+
+  req.crop = crop;
+  next();
+};
+
+router.use(authenticate, loadOwnCrop);
+
+// POST /api/crops/:id/images - Upload photos (multipart field "images")
+router.post("/", uploadImages("images", MAX_CROP_IMAGES), async (req, res) => {
+  const crop = req.crop;
+  const existing = crop.images || [];
+
+  if (existing.length + req.files.length > MAX_CROP_IMAGES) {
+    throw new BadRequestError(
+      `A crop can have at most ${MAX_CROP_IMAGES} images (it has ${existing.length})`
+    );
+  }
+
+  const { images, error } = await storeImages(req.files, `crops/${crop._id}`);
+
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  // The first uploaded photo becomes the cover shown in listings
+  const $set = { updatedAt: new Date() };
+  if (existing.length === 0) {
+    $set.image = images[0].url;
+  }
+
+  // New photos have not been reviewed yet
+  const resubmission = resubmissionEntry(crop, { images }, req.user.email);
+  const $push = { images: { $each: images } };
+  if (resubmission) {
+    $set.status = "pending";
+    $push.statusHistory = resubmission;
+  }
+
+  // Guarded on the image count, so parallel uploads cannot exceed the cap
+  const updatedCrop = await cropsCollection.findOneAndUpdate(
+    {
+      _id: crop._id,
+      $expr: {
+        $lte: [
+          { $size: { $ifNull: ["$images", []] } },
+          MAX_CROP_IMAGES - images.length,
+        ],
+      },
+    },
+    { $set, $push },
+    { returnDocument: "after" }
+  );
+
+  if (!updatedCrop) {
+    await deleteImages(images);
+    throw new ConflictError(
+      `A crop can have at most ${MAX_CROP_IMAGES} images`
+    );
+  }
+
+  await recordAudit({
+    entityType: "crop",
+    entityId: crop._id,
+    action: "images",
+    before: crop,
+    after: updatedCrop,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: resubmission
+      ? `${images.length} image(s) uploaded and resubmitted for review`
+      : `${images.length} image(s) uploaded successfully`,
+    data: {
+      image: updatedCrop.image,
+      images: updatedCrop.images,
+      status: updatedCrop.status,
+    },
+  });
+});
+
+// DELETE /api/crops/:id/images/:imageId - Remove one photo
+router.delete("/:imageId", async (req, res) => {
+  const crop = req.crop;
+  const removed = (crop.images || []).find(
+    (image) => image._id.toString() === req.params.imageId
+  );
+
+  if (!removed) {
+    throw new NotFoundError("Image not found");
+  }
+
+  // Removing a photo shows buyers nothing new, so only a rejected crop is
+  // resubmitted
+  const resubmission = resubmissionEntry(crop, {}, req.user.email);
+  const update = {
+    $pull: { images: { _id: removed._id } },
+    $set: { updatedAt: new Date() },
+  };
+  if (resubmission) {
+    update.$set.status = "pending";
+    update.$push = { statusHistory: resubmission };
+  }
+
+  let updatedCrop = await cropsCollection.findOneAndUpdate(
+    { _id: crop._id },
+    update,
+    { returnDocument: "after" }
+  );
+
+  if (!updatedCrop) {
+    throw new NotFoundError("Crop not found");
+  }
+
+  // Removing the cover promotes the next photo
+  if (updatedCrop.image === removed.url) {
+    updatedCrop = await cropsCollection.findOneAndUpdate(
+      { _id: crop._id },
+      { $set: { image: updatedCrop.images?.[0]?.url || "" } },
+      { returnDocument: "after" }
+    );
+  }
+
+  await recordAudit({
+    entityType: "crop",
+    entityId: crop._id,
+    action: "images",
+    before: crop,
+    after: updatedCrop,
+  });
+  await deleteImages([removed]);
+
+  res.json({
+    success: true,
+    message: resubmission
+      ? "Image deleted and crop resubmitted for review"
+      : "Image deleted successfully",
+    data: {
+      image: updatedCrop.image,
+      images: updatedCrop.images,
+      status: updatedCrop.status,
+    },
+  });
+});
+
+export default router;
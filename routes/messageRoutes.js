@@ -0,0 +1,84 @@
+import express from "express";
+import authenticate from "../middleware/authenticate.js";
+import validateBody from "../middleware/validateBody.js";
+import validateQuery from "../middleware/validateQuery.js";
+import {
+  findThreadInterest,
+  listMessages,
+  postMessage,
+  markMessagesRead,
+} from "../services/messages.js";
+import {
+  messageCreateSchema,
+  messageReadSchema,
+  messageListQuerySchema,
+} from "../validation/schemas.js";
+
+// Mounted at /api/interests/:id/messages
+const router = express.Router({ mergeParams: true });
+
+// Loads the interest and makes sure the caller is its buyer or crop owner
+const loadThread = async (req, res, next) => {
+  const { interest, actor } = await findThreadInterest(
+    req.params.id,
+    req.user.email
+  );
+
+  req.interest = interest;
+  req.threadActor = actor;
+  next();
+};
+
+router.use(authenticate, loadThread);
+
+// GET /api/interests/:id/messages?before=<cursor>&limit=30 - Page of the thread
+router.get("/", validateQuery(messageListQuerySchema), async (req, res) => {
+  const { before, limit } = req.validatedQuery;
+
+  const { messages, hasMore, nextCursor, unreadCount } = await listMessages({
+    interestId: req.interest._id,
+    readerEmail: req.user.email,
+    before,
+    limit,
+  });
+
+  res.json({
+    success: true,
+    message: "Messages fetched successfully",
+    data: messages,
+    meta: { limit, hasMore, nextCursor, unreadCount },
+  });
+});
+
+// POST /api/interests/:id/messages - Send a message to the other party
+router.post("/", validateBody(messageCreateSchema), async (req, res) => {
+  const message = await postMessage({
+    interest: req.interest,
+    actor: req.threadActor,
+    sender: req.user,
+    body: req.body.body,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Message sent successfully",
+    data: message,
+  });
+});
+
+// PATCH /api/interests/:id/messages/read - Mark received messages as read
+router.patch("/read", validateBody(messageReadSchema), async (req, res) => {
+  const markedRead = await markMessagesRead({
+    interestId: req.interest._id,
+    readerEmail: req.user.email,
+    upTo: req.body.upTo,
+  });
+
+  res.json({
+    success: true,
+    message: "Messages marked as read",
+    data: { markedRead },
+  });
+});
+
+export default router;
@@ -0,0 +1,204 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+import logger from "../config/logger.js";
+import authenticate from "../middleware/authenticate.js";
+import validateBody from "../middleware/validateBody.js";
+import validateQuery from "../middleware/validateQuery.js";
+import { ValidationError } from "../errors/appErrors.js";
+import {
+  subscribe,
+  listNotifications,
+  findNotificationsAfter,
+  countUnread,
+  markNotificationsRead,
+} from "../services/notifications.js";
+import {
+  notificationListQuerySchema,
+  notificationReadSchema,
+} from "../validation/schemas.js";
+
+// How often an open stream re-reads the collection (catching events stored
+// by other instances) and sends a keep-alive comment
+const STREAM_POLL_MS = Number(process.env.NOTIFICATIONS_STREAM_POLL_MS) || 15000;
+
+// Streams close after this long so serverless functions end before their
+// timeout; EventSource reconnects with Last-Event-ID. 0 keeps them open.
+const STREAM_MAX_MS = Number(process.env.NOTIFICATIONS_STREAM_MAX_MS) || 0;
+
+// Mounted at /api/notifications
+const router = express.Router();
+
+// EventSource cannot send headers, so the stream also accepts ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === "string") {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// GET /api/notifications/stream - Server-Sent Events with live notifications
+router.get("/stream", tokenFromQuery, authenticate, async (req, res) => {
+  const email = req.user.email;
+  const resumeFrom = req.headers["last-event-id"] || req.query.after;
+
+  // Resume after the last event the client saw, otherwise start from now
+  let cursor = ObjectId.isValid(resumeFrom)
+    ? new ObjectId(resumeFrom)
+    : ObjectId.createFromTime(Math.floor(Date.now() / 1000));
+
+  // Ids already pushed through the live bus, so catch-up skips them
+  const sentLive = new Set();
+  let closed = false;
+  let poller = null;
+  let deadline = null;
+  let unsubscribe = () => {};
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  // Registered before any await: a listener added after the client has gone
+  // never fires, and the poller, deadline and subscription would leak
+  res.on("close", () => {
+    closed = true;
+    clearInterval(poller);
+    clearTimeout(deadline);
+    unsubscribe();
+  });
+
+  res.write("retry: 5000\n\n");
+
+  const send = (notification) => {
+    res.write(
+      `id: ${notification._id}\n` +
+        "event: notification\n" +
+        `data: ${JSON.stringify(notification)}\n\n`
+    );
+  };
+
+  const catchUp = async () => {
+    try {
+      const missed = await findNotificationsAfter(email, cursor);
+
+      for (const notification of missed) {
+        if (closed) return;
+        const id = notification._id.toString();
+        if (!sentLive.delete(id)) send(notification);
+        cursor = notification._id;
+      }
+    } catch (error) {
+      logger.error("Failed to catch up notification stream", { error });
+    }
+  };
+
+  unsubscribe = subscribe(email, (notification) => {
+    sentLive.add(notification._id.toString());
+    send(notification);
+  });
+
+  await catchUp();
+
+  try {
+    const count = await countUnread(email);
+    if (!closed) {
+      res.write(`event: unread-count\ndata: ${JSON.stringify({ count })}\n\n`);
+    }
+  } catch (error) {
+    logger.error("Failed to count unread notifications", { error });
+  }
+
+  if (closed) return;
+
+  poller = setInterval(async () => {
+    await catchUp();
+    if (!closed) res.write(": keep-alive\n\n");
+  }, STREAM_POLL_MS);
+
+  if (STREAM_MAX_MS > 0) {
+    deadline = setTimeout(() => res.end(), STREAM_MAX_MS);
+  }
+});
+
+router.use(authenticate);
+
+// GET /api/notifications?unread=true&before=<cursor>&limit=20 - List
+// notifications; ?after=<cursor> polls for newer ones (serverless fallback)
+router.get(
+  "/",
+  validateQuery(notificationListQuerySchema),
+  async (req, res) => {
+    const { before, after, unread, limit } = req.validatedQuery;
+
+    const [{ notifications, hasMore, nextCursor }, unreadCount] =
+      await Promise.all([
+        listNotifications({
+          email: req.user.email,
+          before,
+          after,
+          unread,
+          limit,
+        }),
+        countUnread(req.user.email),
+      ]);
+
+    res.json({
+      success: true,
+      message: "Notifications fetched successfully",
+      data: notifications,
+      meta: { limit, hasMore, nextCursor, unreadCount },
+    });
+  }
+);
+
+// GET /api/notifications/unread-count - Number of unread notifications
+router.get("/unread-count", async (req, res) => {
+  const count = await countUnread(req.user.email);
+
+  res.json({
+    success: true,
+    message: "Unread count fetched successfully",
+    data: { count },
+  });
+});
+
+// PATCH /api/notifications/read - Mark all (or up to `upTo`) as read
+router.patch(
+  "/read",
+  validateBody(notificationReadSchema),
+  async (req, res) => {
+    const markedRead = await markNotificationsRead({
+      email: req.user.email,
+      upTo: req.body.upTo,
+    });
+
+    res.json({
+      success: true,
+      message: "Notifications marked as read",
+      data: { markedRead },
+    });
+  }
+);
+
+// PATCH /api/notifications/:id/read - Mark one notification as read
+router.patch("/:id/read", async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) {
+    throw new ValidationError("Invalid notification ID");
+  }
+
+  const markedRead = await markNotificationsRead({
+    email: req.user.email,
+    id: req.params.id,
+  });
+
+  res.json({
+    success: true,
+    message: "Notification marked as read",
+    data: { markedRead },
+  });
+});
+
+export default router;
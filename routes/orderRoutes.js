@@ -0,0 +1,78 @@
+import express from "express";
+import { ordersCollection } from "../config/db.js";
+import authenticate from "../middleware/authenticate.js";
+import validateBody from "../middleware/validateBody.js";
+import validateQuery from "../middleware/validateQuery.js";
+import { buildPageMeta } from "../services/crops.js";
+import {
+  participantFilter,
+  findOrderFor,
+  advanceOrder,
+} from "../services/orders.js";
+import {
+  orderStatusSchema,
+  orderListQuerySchema,
+} from "../validation/schemas.js";
+
+// Mounted at /api/orders
+const router = express.Router();
+
+router.use(authenticate);
+
+// GET /api/orders?as=buyer&status=confirmed&page=1&limit=20 - Caller's orders
+router.get("/", validateQuery(orderListQuerySchema), async (req, res) => {
+  const { as, status, page, limit } = req.validatedQuery;
+  const filter = participantFilter(req.user, as);
+
+  if (status) {
+    filter.status = status;
+  }
+
+  const [orders, total] = await Promise.all([
+    ordersCollection
+      .find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    ordersCollection.countDocuments(filter),
+  ]);
+
+  res.json({
+    success: true,
+    message: "Orders fetched successfully",
+    data: orders,
+    meta: buildPageMeta({ page, limit, total }),
+  });
+});
+
+// GET /api/orders/:id - Fetch one order (buyer, owner or admin)
+router.get("/:id", async (req, res) => {
+  const { order } = await findOrderFor(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    message: "Order fetched successfully",
+    data: order,
+  });
+});
+
+// PATCH /api/orders/:id - Advance an order, e.g. { "status": "dispatched" }
+router.patch("/:id", validateBody(orderStatusSchema), async (req, res) => {
+  const { status, note } = req.body;
+
+  const order = await advanceOrder({
+    orderId: req.params.id,
+    user: req.user,
+    status,
+    note,
+  });
+
+  res.json({
+    success: true,
+    message: `Order ${status} successfully`,
+    data: order,
+  });
+});
+
+export default router;
@@ -0,0 +1,47 @@
+// Backfill: approves crops that were listed before moderation existed.
+// Those crops were all stored as "pending" but were publicly visible, so
+// approving them keeps the marketplace unchanged after the upgrade.
+//
+// Usage:
+//   npm run moderation:approve-legacy             # approve
+//   npm run moderation:approve-legacy -- --dry-run
+//
+// Safe to re-run: crops created since moderation carry a `statusHistory`
+// and are left for admins to review.
+import "dotenv/config";
+import { client, connectDB, cropsCollection } from "../config/db.js";
+import { moderationEntry } from "../services/cropModeration.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function approveLegacyCrops() {
+  await connectDB();
+
+  const filter = {
+    status: { $in: ["pending", null] },
+    statusHistory: { $exists: false },
+  };
+
+  if (dryRun) {
+    const count = await cropsCollection.countDocuments(filter);
+    console.log(`[dry-run] ✅ Would approve ${count} legacy crop(s)`);
+    return;
+  }
+
+  const { modifiedCount } = await cropsCollection.updateMany(filter, {
+    $set: {
+      status: "approved",
+      statusHistory: [moderationEntry("pending", "approved", "system", null)],
+      updatedAt: new Date(),
+    },
+  });
+
+  console.log(`✅ Approved ${modifiedCount} legacy crop(s)`);
+}
+
+approveLegacyCrops()
+  .catch((err) => {
+    console.error("❌ Legacy crop approval failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => client.close());
@@ -0,0 +1,56 @@
+// Backfill: geocodes crops that have a `location` label but no `geo` point,
+// using the bundled offline district/upazila table (data/bd-locations.js).
+//
+// Usage:
+//   npm run geocode:crops             # geocode
+//   npm run geocode:crops -- --dry-run
+//
+// Safe to re-run: only crops without `geo` are touched. Labels that match no
+// known district or upazila are listed so they can be fixed by hand.
+import "dotenv/config";
+import { client, connectDB, cropsCollection } from "../config/db.js";
+import { resolveCropGeo } from "../services/geocode.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function geocodeCrops() {
+  await connectDB();
+
+  const cursor = cropsCollection.find(
+    { geo: { $exists: false }, location: { $type: "string" } },
+    { projection: { location: 1 } }
+  );
+
+  let geocoded = 0;
+  const unmatched = [];
+
+  for await (const crop of cursor) {
+    const geoFields = resolveCropGeo(undefined, crop.location);
+
+    if (!geoFields) {
+      unmatched.push(crop);
+      continue;
+    }
+
+    if (!dryRun) {
+      await cropsCollection.updateOne({ _id: crop._id }, { $set: geoFields });
+    }
+
+    geocoded += 1;
+  }
+
+  for (const crop of unmatched) {
+    console.log(`⚠️ Crop ${crop._id}: no match for location "${crop.location}"`);
+  }
+
+  console.log(
+    `${dryRun ? "[dry-run] " : ""}✅ Geocoded ${geocoded} crop(s), ${unmatched.length} unmatched`
+  );
+}
+
+geocodeCrops()
+  .catch((err) => {
+    console.error("❌ Crop geocoding failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => client.close());
@@ -0,0 +1,68 @@
+// Bootstrap: makes an account an admin. Admin roles are otherwise granted
+// through PATCH /api/admin/users/:email/role, which itself needs an admin,
+// so the first one is created here.
+//
+// Usage:
+//   npm run users:grant-admin -- admin@example.com
+//
+// The account is created if that email has not signed in yet; it keeps the
+// admin role when the user later signs in. Safe to re-run.
+import "dotenv/config";
+import { client, connectDB, usersCollection } from "../config/db.js";
+
+const email = process.argv
+  .slice(2)
+  .find((arg) => !arg.startsWith("--"))
+  ?.trim()
+  .toLowerCase();
+
+async function grantAdmin() {
+  if (!email || !email.includes("@")) {
+    throw new Error(
+      "Pass the account's email: npm run users:grant-admin -- <email>"
+    );
+  }
+
+  await connectDB();
+
+  const existing = await usersCollection.findOne(
+    { email },
+    { projection: { role: 1, status: 1 } }
+  );
+
+  if (existing?.role === "admin") {
+    console.log(`ℹ️ ${email} is already an admin`);
+    return;
+  }
+
+  const now = new Date();
+  await usersCollection.updateOne(
+    { email },
+    {
+      $set: { role: "admin", updatedAt: now },
+      $setOnInsert: {
+        email,
+        name: "",
+        photoURL: "",
+        status: "active",
+        createdAt: now,
+      },
+    },
+    { upsert: true }
+  );
+
+  console.log(
+    existing ? `✅ ${email} is now an admin` : `✅ Created ${email} as an admin`
+  );
+
+  if (existing?.status === "suspended") {
+    console.log("⚠️ The account is suspended; reactivate it to use the admin API");
+  }
+}
+
+grantAdmin()
+  .catch((err) => {
+    console.error("❌ Granting admin failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => client.close());
@@ -0,0 +1,127 @@
+// One-off migration: moves interests embedded in `crops.interests` into the
+// dedicated `interests` collection, then removes the embedded arrays.
+//
+// Usage:
+//   npm run migrate:interests             # migrate
+//   npm run migrate:interests -- --dry-run
+//
+// Safe to re-run: interests are upserted by _id, and a crop's embedded array
+// is only removed once all of its interests are in the collection. A crop
+// whose interests clash with ones already in the collection (same buyer, same
+// crop) keeps its array and is reported at the end for a manual look.
+import "dotenv/config";
+import crypto from "node:crypto";
+import { ObjectId } from "mongodb";
+import {
+  client,
+  connectDB,
+  cropsCollection,
+  interestsCollection,
+} from "../config/db.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Embedded ids were stored as ObjectId hex strings. An interest without a
+// usable id gets one derived from its crop, buyer and position, so a re-run
+// upserts the same document instead of adding a copy.
+function toObjectId(value, crop, interest, index) {
+  if (value instanceof ObjectId) return value;
+  if (ObjectId.isValid(value)) return new ObjectId(value);
+
+  const hash = crypto
+    .createHash("sha1")
+    .update(`${crop._id}:${interest.userEmail}:${index}`)
+    .digest();
+  return new ObjectId(hash.subarray(0, 12));
+}
+
+const isDuplicateKey = (error) =>
+  error.code === 11000 ||
+  (error.writeErrors?.length > 0 &&
+    error.writeErrors.every((writeError) => writeError.code === 11000));
+
+async function migrate() {
+  await connectDB();
+
+  const cursor = cropsCollection.find({ "interests.0": { $exists: true } });
+
+  let cropsMigrated = 0;
+  let interestsMigrated = 0;
+  const clashes = [];
+
+  for await (const crop of cursor) {
+    const operations = crop.interests.map((interest, index) => {
+      const { _id, cropId, ...rest } = interest;
+      const doc = {
+        ...rest,
+        cropId: crop._id,
+        ownerEmail: crop.owner?.ownerEmail,
+        status: interest.status || "pending",
+        createdAt: interest.createdAt || crop.createdAt || new Date(),
+      };
+
+      return {
+        updateOne: {
+          filter: { _id: toObjectId(_id, crop, interest, index) },
+          update: { $setOnInsert: doc },
+          upsert: true,
+        },
+      };
+    });
+
+    if (dryRun) {
+      console.log(
+        `[dry-run] Crop ${crop._id}: would move ${operations.length} interest(s)`
+      );
+    } else {
+      // Unordered, so the other interests are still written when some clash
+      try {
+        await interestsCollection.bulkWrite(operations, { ordered: false });
+      } catch (error) {
+        if (!isDuplicateKey(error)) throw error;
+
+        const failed = error.writeErrors?.length || 1;
+        clashes.push(crop._id);
+        console.warn(
+          `⚠️ Crop ${crop._id}: ${failed} interest(s) clash with existing ones (duplicate key); keeping its embedded interests`
+        );
+        continue;
+      }
+
+      await cropsCollection.updateOne(
+        { _id: crop._id },
+        { $unset: { interests: "" } }
+      );
+      console.log(`Crop ${crop._id}: moved ${operations.length} interest(s)`);
+    }
+
+    cropsMigrated += 1;
+    interestsMigrated += operations.length;
+  }
+
+  // Drop empty embedded arrays left on crops that never had interests
+  if (!dryRun) {
+    await cropsCollection.updateMany(
+      { interests: { $size: 0 } },
+      { $unset: { interests: "" } }
+    );
+  }
+
+  console.log(
+    `${dryRun ? "[dry-run] " : ""}✅ Migrated ${interestsMigrated} interest(s) from ${cropsMigrated} crop(s)`
+  );
+
+  if (clashes.length > 0) {
+    console.error(
+      `❌ ${clashes.length} crop(s) kept their embedded interests: ${clashes.join(", ")}`
+    );
+    process.exitCode = 1;
+  }
+}
+
+migrate()
+  .catch((err) => {
+    console.error("❌ Interest migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => client.close());
@@ -0,0 +1,30 @@
+// Sends due emails from the outbox, including retries of earlier failures.
+// Long-running servers do this every EMAIL_OUTBOX_INTERVAL_MS; serverless
+// deployments should run this script on a schedule (e.g. every few minutes).
+//
+// Usage:
+//   npm run email:outbox
+//   npm run email:outbox -- --limit=200
+import "dotenv/config";
+import { client, connectDB } from "../config/db.js";
+import { processOutbox } from "../services/emails.js";
+
+const limitArg = process.argv.find((arg) => arg.startsWith("--limit="));
+const limit = limitArg ? Number(limitArg.split("=")[1]) : undefined;
+
+async function run() {
+  await connectDB();
+
+  const { sent, retrying, failed } = await processOutbox({ limit });
+
+  console.log(
+    `✅ Sent ${sent} email(s), ${retrying} will be retried, ${failed} failed for good`
+  );
+}
+
+run()
+  .catch((err) => {
+    console.error("❌ Email outbox run failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => client.close());
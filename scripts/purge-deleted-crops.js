@@ -0,0 +1,51 @@
+// Removes the images of crops deleted more than CROP_RESTORE_DAYS ago. Such
+// crops can no longer be restored; their documents are kept so buyers still
+// see their withdrawn interests.
+//
+// Usage:
+//   npm run crops:purge-deleted
+//   npm run crops:purge-deleted -- --dry-run
+//
+// Safe to re-run: purged crops are marked with `imagesPurgedAt`.
+import "dotenv/config";
+import { client, connectDB, cropsCollection } from "../config/db.js";
+import { CROP_RESTORE_DAYS } from "../services/cropDeletion.js";
+import { deleteImages } from "../services/images.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function purgeDeletedCrops() {
+  await connectDB();
+
+  const cutoff = new Date(Date.now() - CROP_RESTORE_DAYS * 24 * 60 * 60 * 1000);
+  const filter = {
+    deletedAt: { $lt: cutoff },
+    imagesPurgedAt: { $exists: false },
+  };
+
+  if (dryRun) {
+    const count = await cropsCollection.countDocuments(filter);
+    console.log(`[dry-run] 🗑️ Would purge images of ${count} deleted crop(s)`);
+    return;
+  }
+
+  let purged = 0;
+
+  for await (const crop of cropsCollection.find(filter)) {
+    await deleteImages(crop.images);
+    await cropsCollection.updateOne(
+      { _id: crop._id },
+      { $set: { images: [], image: "", imagesPurgedAt: new Date() } }
+    );
+    purged++;
+  }
+
+  console.log(`✅ Purged images of ${purged} deleted crop(s)`);
+}
+
+purgeDeletedCrops()
+  .catch((err) => {
+    console.error("❌ Purging deleted crops failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => client.close());
@@ -0,0 +1,151 @@
+import { ObjectId } from "mongodb";
+import { auditLogCollection } from "../config/db.js";
+import logger from "../config/logger.js";
+import { currentRequest, routePattern } from "./requestContext.js";
+
+// ==================== AUDIT LOG ====================
+//
+// Every write to a crop, interest or user appends an entry to `audit_log`
+// with who made it, through which route, and what changed. Entries are never
+// updated or deleted; a TTL index expires them after AUDIT_LOG_TTL_DAYS.
+//
+// The actor, route and request id come from the request being handled (see
+// requestContext.js), so services can record writes without being handed
+// `req`. Writes made outside a request (scripts) are recorded as "system".
+
+export const AUDIT_ENTITY_TYPES = ["crop", "interest", "user"];
+
+// Left out of diffs: bookkeeping, append-only histories (the current `offer`
+// and `status` show the change) and interests attached to crop responses
+const IGNORED_FIELDS = [
+  "_id",
+  "updatedAt",
+  "statusHistory",
+  "offers",
+  "interests",
+];
+
+function currentActor() {
+  const req = currentRequest();
+
+  if (!req) {
+    return {
+      actor: { email: null, role: "system" },
+      route: null,
+      requestId: null,
+    };
+  }
+
+  return {
+    actor: {
+      email: req.user?.email ?? null,
+      role: req.user?.role ?? "anonymous",
+    },
+    route: `${req.method} ${routePattern(req) ?? req.path}`,
+    requestId: req.id ?? null,
+  };
+}
+
+// Comparable form of a field value (ObjectIds and Dates compare by value)
+function comparable(value) {
+  return JSON.stringify(value ?? null);
+}
+
+// { field: { from, to } } for every top-level field that differs. `before`
+// is null for creations and `after` is null for deletions; either may be a
+// partial document holding only the fields that were written.
+export function diffDocuments(before, after) {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const from = before?.[field];
+    const to = after?.[field];
+
+    if (comparable(from) !== comparable(to)) {
+      changes[field] = { from: from ?? null, to: to ?? null };
+    }
+  }
+
+  return changes;
+}
+
+// Appends one entry. Never throws: an audit failure must not fail the write
+// it describes, which has already happened.
+export async function recordAudit({
+  entityType,
+  entityId,
+  action,
+  before = null,
+  after = null,
+}) {
+  try {
+    const changes = diffDocuments(before, after);
+
+    if (action === "update" && Object.keys(changes).length === 0) {
+      return null;
+    }
+
+    const entry = {
+      entityType,
+      entityId: new ObjectId(entityId),
+      action,
+      ...currentActor(),
+      changes,
+      at: new Date(),
+    };
+
+    await auditLogCollection.insertOne(entry);
+    return entry;
+  } catch (error) {
+    logger.error("Failed to record audit entry", {
+      entityType,
+      entityId,
+      action,
+      error,
+    });
+    return null;
+  }
+}
+
+// One page of entries matching the validated admin query, newest first
+export async function findAuditEntries({
+  entityType,
+  entityId,
+  actorEmail,
+  action,
+  from,
+  to,
+  page,
+  limit,
+}) {
+  const filter = {};
+
+  if (entityType) filter.entityType = entityType;
+  if (entityId) filter.entityId = new ObjectId(entityId);
+  if (actorEmail) filter["actor.email"] = actorEmail;
+  if (action) filter.action = action;
+
+  if (from || to) {
+    filter.at = {};
+    if (from) filter.at.$gte = from;
+    if (to) filter.at.$lte = to;
+  }
+
+  const [entries, total] = await Promise.all([
+    auditLogCollection
+      .find(filter)
+      .sort({ at: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    auditLogCollection.countDocuments(filter),
+  ]);
+
+  return { entries, total };
+}
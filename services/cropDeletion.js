@@ -0,0 +1,303 @@
+import { ObjectId } from "mongodb";
+import {
+  startTransactionSession,
+  cropsCollection,
+  interestsCollection,
+  ordersCollection,
+} from "../config/db.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  GoneError,
+  NotFoundError,
+} from "../errors/appErrors.js";
+import { historyEntry } from "./interestTransitions.js";
+import { OPEN_ORDER_STATUSES } from "./orderTransitions.js";
+import { notifyInterestStatus, notifyCropRemoved } from "./notifications.js";
+import { recordAudit } from "./audit.js";
+import { interestStatusChanges } from "./metrics.js";
+
+// ==================== CROP DELETION ====================
+//
+// Deleting a crop only marks it with `deletedAt`. It disappears from every
+// listing, its pending interests are marked "withdrawn" (buyers still see
+// them), and the owner can restore it for CROP_RESTORE_DAYS. Restoring puts
+// the withdrawn interests back to pending. After the grace period the crop
+// stays as a record for its interests and `npm run crops:purge-deleted`
+// removes its images.
+//
+// An admin removing a listing goes through the same soft delete, marked
+// `removedByAdmin` with the reason; the owner cannot restore it.
+
+export const CROP_RESTORE_DAYS = Number(process.env.CROP_RESTORE_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Filter for crops that have not been deleted (null also matches a missing
+// field, so older crops count as not deleted)
+export const NOT_DELETED = { deletedAt: null };
+
+export function restorableUntil(crop) {
+  return new Date(crop.deletedAt.getTime() + CROP_RESTORE_DAYS * DAY_MS);
+}
+
+// Loads a crop, which must exist
+async function findCrop(cropId) {
+  if (!ObjectId.isValid(cropId)) {
+    throw new BadRequestError("Invalid crop ID");
+  }
+
+  const crop = await cropsCollection.findOne({ _id: new ObjectId(cropId) });
+
+  if (!crop) {
+    throw new NotFoundError("Crop not found");
+  }
+
+  return crop;
+}
+
+// Loads a crop for its owner
+async function findOwnCrop(cropId, ownerEmail) {
+  const crop = await findCrop(cropId);
+
+  if (crop.owner?.ownerEmail !== ownerEmail) {
+    throw new ForbiddenError(
+      "Unauthorized: You can only delete your own crops"
+    );
+  }
+
+  return crop;
+}
+
+// Moves the crop's interests from one status to another in `session`,
+// recording `actor` as the one who made the move. Returns the interests that
+// moved.
+async function moveInterests(crop, from, to, actor, actorEmail, session, now) {
+  const interests = await interestsCollection
+    .find({ cropId: crop._id, status: from }, { session })
+    .toArray();
+
+  if (interests.length > 0) {
+    await interestsCollection.updateMany(
+      { _id: { $in: interests.map((interest) => interest._id) }, status: from },
+      {
+        $set: { status: to, updatedAt: now },
+        $push: { statusHistory: historyEntry(from, to, actor, actorEmail) },
+      },
+      { session }
+    );
+  }
+
+  return interests;
+}
+
+function auditInterestMove(interest, status) {
+  return recordAudit({
+    entityType: "interest",
+    entityId: interest._id,
+    action: "status",
+    before: { status: interest.status },
+    after: { status },
+  });
+}
+
+// Soft-deletes `crop` on behalf of its owner or an admin and withdraws its
+// pending interests. Crops with open orders cannot be deleted until those
+// orders are closed.
+async function deleteCrop(crop, { actor, actorEmail, reason }) {
+  if (crop.deletedAt) {
+    throw new BadRequestError("Crop is already deleted");
+  }
+
+  const session = startTransactionSession();
+  let withdrawn = [];
+  let deletedCrop;
+
+  try {
+    await session.withTransaction(async () => {
+      const now = new Date();
+
+      // Counted in the transaction: accepting an interest creates its order
+      // and reserves stock on the crop in one transaction, so an accept that
+      // commits after this count conflicts with the delete below and the
+      // delete is retried, then refused
+      const openOrders = await ordersCollection.countDocuments(
+        { cropId: crop._id, status: { $in: OPEN_ORDER_STATUSES } },
+        { session }
+      );
+
+      if (openOrders > 0) {
+        throw new ConflictError(
+          `This crop has ${openOrders} open order(s). Complete or cancel them before deleting it`,
+          { data: { openOrders } }
+        );
+      }
+
+      deletedCrop = await cropsCollection.findOneAndUpdate(
+        { _id: crop._id, ...NOT_DELETED },
+        {
+          $set: {
+            deletedAt: now,
+            deletedBy: actorEmail,
+            ...(actor === "admin"
+              ? { removedByAdmin: true, removalReason: reason || null }
+              : {}),
+            updatedAt: now,
+          },
+        },
+        { session, returnDocument: "after" }
+      );
+
+      if (!deletedCrop) {
+        withdrawn = [];
+        return;
+      }
+
+      withdrawn = await moveInterests(
+        crop,
+        "pending",
+        "withdrawn",
+        actor,
+        actorEmail,
+        session,
+        now
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (!deletedCrop) {
+    throw new ConflictError("Crop was changed by another request");
+  }
+
+  await recordAudit({
+    entityType: "crop",
+    entityId: crop._id,
+    action: actor === "admin" ? "remove" : "delete",
+    before: crop,
+    after: deletedCrop,
+  });
+
+  if (withdrawn.length > 0) {
+    interestStatusChanges.inc({ status: "withdrawn" }, withdrawn.length);
+  }
+  for (const interest of withdrawn) {
+    await auditInterestMove(interest, "withdrawn");
+    // Buyers are told either way; after an admin removal the owner gets one
+    // notification for the crop rather than one per interest
+    await notifyInterestStatus(
+      interest,
+      "withdrawn",
+      actor === "admin" ? "system" : actor,
+      crop
+    );
+  }
+
+  if (actor === "admin") {
+    await notifyCropRemoved(deletedCrop);
+  }
+
+  return { crop: deletedCrop, withdrawn: withdrawn.length };
+}
+
+// Soft-deletes an owner's crop and withdraws its pending interests.
+//
+// Returns { crop, withdrawn } with the number of interests withdrawn.
+export async function softDeleteCrop({ cropId, ownerEmail }) {
+  const crop = await findOwnCrop(cropId, ownerEmail);
+
+  return deleteCrop(crop, { actor: "owner", actorEmail: ownerEmail });
+}
+
+// Removes any crop listing on an admin's behalf, with the same soft delete.
+//
+// Returns { crop, withdrawn } like softDeleteCrop.
+export async function removeCropAsAdmin({ cropId, adminEmail, reason }) {
+  const crop = await findCrop(cropId);
+
+  return deleteCrop(crop, { actor: "admin", actorEmail: adminEmail, reason });
+}
+
+// Restores a soft-deleted crop within the grace period and puts its
+// withdrawn interests back to pending.
+//
+// Returns { crop, reinstated } with the number of interests put back.
+export async function restoreCrop({ cropId, ownerEmail }) {
+  const crop = await findOwnCrop(cropId, ownerEmail);
+
+  if (!crop.deletedAt) {
+    throw new BadRequestError("Crop is not deleted");
+  }
+
+  if (crop.removedByAdmin) {
+    throw new ForbiddenError(
+      "This crop was removed by an admin and cannot be restored"
+    );
+  }
+
+  if (restorableUntil(crop) < new Date()) {
+    throw new GoneError(
+      `Crops can only be restored within ${CROP_RESTORE_DAYS} days of deletion`
+    );
+  }
+
+  const session = startTransactionSession();
+  let reinstated = [];
+  let restoredCrop;
+
+  try {
+    await session.withTransaction(async () => {
+      const now = new Date();
+
+      restoredCrop = await cropsCollection.findOneAndUpdate(
+        { _id: crop._id, deletedAt: crop.deletedAt },
+        {
+          $set: { updatedAt: now },
+          $unset: { deletedAt: "", deletedBy: "" },
+        },
+        { session, returnDocument: "after" }
+      );
+
+      if (!restoredCrop) {
+        reinstated = [];
+        return;
+      }
+
+      reinstated = await moveInterests(
+        crop,
+        "withdrawn",
+        "pending",
+        "owner",
+        ownerEmail,
+        session,
+        now
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (!restoredCrop) {
+    throw new ConflictError("Crop was changed by another request");
+  }
+
+  await recordAudit({
+    entityType: "crop",
+    entityId: crop._id,
+    action: "restore",
+    before: crop,
+    after: restoredCrop,
+  });
+
+  if (reinstated.length > 0) {
+    interestStatusChanges.inc({ status: "pending" }, reinstated.length);
+  }
+  for (const interest of reinstated) {
+    await auditInterestMove(interest, "pending");
+    await notifyInterestStatus(interest, "pending", "owner", crop);
+  }
+
+  return { crop: restoredCrop, reinstated: reinstated.length };
+}
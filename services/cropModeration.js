@@ -0,0 +1,232 @@
+import { ObjectId } from "mongodb";
+import { cropsCollection } from "../config/db.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  refusedTransitionError,
+} from "../errors/appErrors.js";
+import { historyEntry } from "./interestTransitions.js";
+import { notifyCropModerated } from "./notifications.js";
+import { emailCropApproved } from "./emails.js";
+import { NOT_DELETED } from "./cropDeletion.js";
+import { recordAudit } from "./audit.js";
+
+// ==================== CROP MODERATION ====================
+//
+//   pending ──approve (admin)──▶ approved ◀──approve (admin)── rejected
+//      │                            │                              ▲
+//      └──────reject (admin)────────┴──────reject (admin)──────────┘
+//
+//   approved/rejected ──edit (owner)──▶ pending  (resubmitted for review)
+//   pending/approved/rejected ──archive (owner)──▶ archived
+//   archived ──unarchive (owner)──▶ pending  (reviewed again)
+//
+// Only "approved" crops appear in public listings.
+
+export const CROP_STATUSES = ["pending", "approved", "rejected", "archived"];
+
+export const PUBLIC_CROP_STATUS = "approved";
+
+// from -> to -> actors allowed to make the move
+const TRANSITIONS = {
+  pending: {
+    approved: ["admin"],
+    rejected: ["admin"],
+    archived: ["owner"],
+  },
+  approved: {
+    pending: ["owner"],
+    rejected: ["admin"],
+    archived: ["owner"],
+  },
+  rejected: {
+    approved: ["admin"],
+    pending: ["owner"],
+    archived: ["owner"],
+  },
+  archived: {
+    pending: ["owner"],
+  },
+};
+
+// Checks whether `actor` ("owner" or "admin") may move a crop from `from`
+// to `to`. Returns { allowed: true } or { allowed: false, code, message }.
+export function checkCropTransition(from, to, actor) {
+  const current = from || "pending";
+
+  if (current === to) {
+    return {
+      allowed: false,
+      code: 400,
+      message: `Crop is already ${to}`,
+    };
+  }
+
+  const allowedActors = TRANSITIONS[current]?.[to];
+
+  if (!allowedActors) {
+    return {
+      allowed: false,
+      code: 400,
+      message: `Cannot change crop from '${current}' to '${to}'`,
+    };
+  }
+
+  if (!allowedActors.includes(actor)) {
+    return {
+      allowed: false,
+      code: 403,
+      message: `Unauthorized: Only the ${allowedActors.join(" or ")} can mark this crop as ${to}`,
+    };
+  }
+
+  return { allowed: true };
+}
+
+export function moderationEntry(from, to, actor, actorEmail, reason) {
+  return {
+    ...historyEntry(from, to, actor, actorEmail),
+    ...(reason ? { reason } : {}),
+  };
+}
+
+// What buyers see of a listing. Changing any of these on an approved crop
+// sends it back to review; stock (`quantity`) and the map pin do not.
+export const REVIEWED_FIELDS = [
+  "name",
+  "type",
+  "description",
+  "pricePerUnit",
+  "unit",
+  "location",
+  "image",
+  "images",
+];
+
+// Whether an owner's edit sends the crop back to review: any edit resubmits
+// a rejected crop, and changing a reviewed field takes an approved crop out
+// of the listings until an admin approves it again. `changes` holds the
+// edited fields and their new values. Returns the history entry for the move
+// to "pending", or null when the status stays.
+export function resubmissionEntry(crop, changes, actorEmail) {
+  const edited = REVIEWED_FIELDS.some(
+    (field) => field in changes && changes[field] !== crop[field]
+  );
+  const resubmitted =
+    crop.status === "rejected" || (crop.status === "approved" && edited);
+
+  return resubmitted
+    ? moderationEntry(crop.status, "pending", "owner", actorEmail)
+    : null;
+}
+
+// Whether a crop may be shown to `user` (req.user, or undefined when
+// anonymous). Owners and admins can see listings in any status, including
+// deleted ones.
+export function canViewCrop(crop, user) {
+  if (crop.status === PUBLIC_CROP_STATUS && !crop.deletedAt) return true;
+  if (!user) return false;
+  return crop.owner?.ownerEmail === user.email || user.role === "admin";
+}
+
+// Moves a crop to `status` on behalf of `actor`. Admin decisions are kept in
+// `moderation` so owners can see why a listing was rejected. The update is
+// guarded on the current status, so two moderators cannot both win. With
+// `from`, only a crop in that status is changed.
+//
+// Returns the updated crop.
+export async function changeCropStatus({
+  cropId,
+  status,
+  from,
+  actor,
+  actorEmail,
+  reason,
+}) {
+  if (!ObjectId.isValid(cropId)) {
+    throw new BadRequestError("Invalid crop ID");
+  }
+
+  const crop = await cropsCollection.findOne({ _id: new ObjectId(cropId) });
+
+  if (!crop) {
+    throw new NotFoundError("Crop not found");
+  }
+
+  if (actor === "owner" && crop.owner?.ownerEmail !== actorEmail) {
+    throw new ForbiddenError(
+      "Unauthorized: You can only change your own crops"
+    );
+  }
+
+  if (crop.deletedAt) {
+    throw new BadRequestError(
+      "Deleted crops must be restored before they can be changed"
+    );
+  }
+
+  if (from && (crop.status || "pending") !== from) {
+    throw new BadRequestError(`Crop is not ${from}`);
+  }
+
+  const check = checkCropTransition(crop.status, status, actor);
+
+  if (!check.allowed) {
+    throw refusedTransitionError(check);
+  }
+
+  const now = new Date();
+  const $set = { status, updatedAt: now };
+
+  if (actor === "admin") {
+    $set.moderation = {
+      decision: status,
+      reason: reason || null,
+      reviewedBy: actorEmail,
+      reviewedAt: now,
+    };
+  }
+
+  const updatedCrop = await cropsCollection.findOneAndUpdate(
+    { _id: crop._id, status: crop.status, ...NOT_DELETED },
+    {
+      $set,
+      $push: {
+        statusHistory: moderationEntry(
+          crop.status,
+          status,
+          actor,
+          actorEmail,
+          reason
+        ),
+      },
+    },
+    { returnDocument: "after" }
+  );
+
+  if (!updatedCrop) {
+    throw new ConflictError(
+      "Crop status was changed by someone else. Please retry."
+    );
+  }
+
+  await recordAudit({
+    entityType: "crop",
+    entityId: crop._id,
+    action: "status",
+    before: crop,
+    after: updatedCrop,
+  });
+
+  if (actor === "admin") {
+    await notifyCropModerated(updatedCrop);
+
+    if (updatedCrop.status === "approved") {
+      await emailCropApproved(updatedCrop);
+    }
+  }
+
+  return updatedCrop;
+}
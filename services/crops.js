@@ -0,0 +1,335 @@
+import { cropsCollection } from "../config/db.js";
+import { toPoint } from "./geocode.js";
+import { CROP_STATUSES, PUBLIC_CROP_STATUS } from "./cropModeration.js";
+import { NOT_DELETED, restorableUntil } from "./cropDeletion.js";
+import { INTEREST_STATUSES } from "./interestTransitions.js";
+
+// ==================== CROP LISTING ====================
+
+const SORT_FIELDS = {
+  date: "createdAt",
+  price: "pricePerUnit",
+  quantity: "quantity",
+  distance: "distanceKm",
+};
+
+const DEFAULT_RADIUS_KM = 25;
+const EARTH_RADIUS_KM = 6378.1;
+
+// Escapes user input for literal use inside a RegExp
+export function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Relevance needs `search` and distance needs `near`; otherwise fall back
+function resolveSortBy(query) {
+  const fallback = query.search ? "relevance" : query.near ? "distance" : "date";
+
+  if (!query.sortBy) return fallback;
+  if (query.sortBy === "relevance" && !query.search) return fallback;
+  if (query.sortBy === "distance" && !query.near) return fallback;
+  return query.sortBy;
+}
+
+// Parses a validated `near=lat,lng` value. Returns null when out of range.
+export function parseNear(near) {
+  const [lat, lng] = near.split(",").map((part) => Number(part.trim()));
+
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+
+  return { lat, lng };
+}
+
+// One page of crops within `radiusKm` of a point, each with `distanceKm`,
+// plus the total number of crops in range
+export async function findCropsNear({ filter, near, radiusKm, sort, page, limit }) {
+  const radius = radiusKm || DEFAULT_RADIUS_KM;
+  const point = toPoint(near.lat, near.lng);
+
+  const [crops, total] = await Promise.all([
+    cropsCollection
+      .aggregate([
+        {
+          $geoNear: {
+            near: point,
+            key: "geo",
+            distanceField: "distanceKm",
+            distanceMultiplier: 0.001,
+            maxDistance: radius * 1000,
+            spherical: true,
+            query: filter,
+          },
+        },
+        { $set: { distanceKm: { $round: ["$distanceKm", 2] } } },
+        { $sort: sort },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+      ])
+      .toArray(),
+    // countDocuments does not allow $near, so count with $geoWithin
+    cropsCollection.countDocuments({
+      ...filter,
+      geo: {
+        $geoWithin: {
+          $centerSphere: [point.coordinates, radius / EARTH_RADIUS_KM],
+        },
+      },
+    }),
+  ]);
+
+  return { crops, total, radiusKm: radius };
+}
+
+// Builds the MongoDB filter, sort and projection for GET /api/crops from a
+// query validated by cropListQuerySchema. `search` uses the weighted text
+// index (crop_text_search) and sorts by relevance unless sortBy is given.
+// Only approved crops that have not been deleted are ever listed.
+export function buildCropListQuery(query) {
+  const conditions = [{ status: PUBLIC_CROP_STATUS }, NOT_DELETED];
+
+  if (query.type) {
+    conditions.push({ type: query.type });
+  }
+
+  if (query.location) {
+    conditions.push({
+      location: { $regex: escapeRegex(query.location), $options: "i" },
+    });
+  }
+
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    const price = {};
+    if (query.minPrice !== undefined) price.$gte = query.minPrice;
+    if (query.maxPrice !== undefined) price.$lte = query.maxPrice;
+    conditions.push({ pricePerUnit: price });
+  }
+
+  if (query.minQuantity !== undefined) {
+    conditions.push({ quantity: { $gte: query.minQuantity } });
+  }
+
+  const filter = { $and: conditions };
+  let projection;
+
+  if (query.search) {
+    // $text must sit at the top level of the filter
+    filter.$text = { $search: query.search };
+    projection = { score: { $meta: "textScore" } };
+  }
+
+  const sortBy = resolveSortBy(query);
+
+  // _id breaks ties so pages stay stable between requests; distance is
+  // always nearest first
+  const direction =
+    sortBy === "distance" ? 1 : query.order === "asc" ? 1 : -1;
+  const sort =
+    sortBy === "relevance"
+      ? { score: { $meta: "textScore" }, _id: -1 }
+      : { [SORT_FIELDS[sortBy]]: direction, _id: direction };
+
+  const order =
+    sortBy === "relevance" ? "desc" : direction === 1 ? "asc" : "desc";
+
+  return { filter, sort, projection, sortBy, order };
+}
+
+// Pagination block returned as `meta` alongside `data`
+export function buildPageMeta({ page, limit, total, ...rest }) {
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+    ...rest,
+  };
+}
+
+// ==================== OWNER DASHBOARD ====================
+
+// { pending: 0, accepted: 0, ... } so every status is present in summaries
+const ZERO_INTEREST_COUNTS = Object.fromEntries(
+  INTEREST_STATUSES.map((status) => [status, 0])
+);
+
+// Sums `field` of the interest groups whose status is in `statuses`
+function sumGroups(statuses, field) {
+  return {
+    $sum: {
+      $map: {
+        input: {
+          $filter: {
+            input: "$interestGroups",
+            cond: { $in: ["$$this._id", statuses] },
+          },
+        },
+        in: `$$this.${field}`,
+      },
+    },
+  };
+}
+
+// One page of an owner's crops in any status, each with an
+// `interestSummary` built from the interests collection (using the
+// crop_status index), plus listing counts per moderation status in
+// `byStatus`. Deleted crops are left out, unless `deleted` is set: then
+// only deleted crops are listed, each with `restorableUntil`.
+//
+// Stock is reserved on accept, so `quantity` is already the remaining stock;
+// `quantityAccepted` covers accepted and completed interests.
+export async function findOwnerCrops({
+  ownerEmail,
+  status,
+  deleted,
+  page,
+  limit,
+}) {
+  const owned = { "owner.ownerEmail": ownerEmail };
+  const inTrash = { deletedAt: { $ne: null } };
+  const shown = deleted ? inTrash : NOT_DELETED;
+
+  const [result] = await cropsCollection
+    .aggregate([
+      { $match: owned },
+      {
+        $facet: {
+          crops: [
+            { $match: shown },
+            ...(status ? [{ $match: { status } }] : []),
+            { $sort: { createdAt: -1, _id: -1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: "interests",
+                let: { cropId: "$_id" },
+                pipeline: [
+                  { $match: { $expr: { $eq: ["$cropId", "$$cropId"] } } },
+                  {
+                    $group: {
+                      _id: "$status",
+                      count: { $sum: 1 },
+                      quantity: { $sum: "$quantity" },
+                    },
+                  },
+                ],
+                as: "interestGroups",
+              },
+            },
+            {
+              $set: {
+                interestSummary: {
+                  counts: {
+                    $mergeObjects: [
+                      ZERO_INTEREST_COUNTS,
+                      {
+                        $arrayToObject: {
+                          $map: {
+                            input: {
+                              $filter: {
+                                input: "$interestGroups",
+                                cond: { $in: ["$$this._id", INTEREST_STATUSES] },
+                              },
+                            },
+                            in: { k: "$$this._id", v: "$$this.count" },
+                          },
+                        },
+                      },
+                    ],
+                  },
+                  total: { $sum: "$interestGroups.count" },
+                  quantityRequested: sumGroups(["pending", "accepted"], "quantity"),
+                  quantityPending: sumGroups(["pending"], "quantity"),
+                  quantityAccepted: sumGroups(
+                    ["accepted", "completed"],
+                    "quantity"
+                  ),
+                  remainingStock: "$quantity",
+                },
+              },
+            },
+            { $unset: "interestGroups" },
+          ],
+          statusCounts: [
+            { $match: shown },
+            { $group: { _id: "$status", count: { $sum: 1 } } },
+          ],
+          deletedCount: [{ $match: inTrash }, { $count: "count" }],
+        },
+      },
+    ])
+    .toArray();
+
+  const byStatus = Object.fromEntries(
+    CROP_STATUSES.map((cropStatus) => [cropStatus, 0])
+  );
+  for (const { _id, count } of result.statusCounts) {
+    byStatus[_id] = count;
+  }
+
+  const total = status
+    ? byStatus[status]
+    : result.statusCounts.reduce((sum, { count }) => sum + count, 0);
+
+  if (deleted) {
+    for (const crop of result.crops) {
+      crop.restorableUntil = restorableUntil(crop);
+    }
+  }
+
+  return {
+    crops: result.crops,
+    total,
+    byStatus,
+    deletedCount: result.deletedCount[0]?.count ?? 0,
+  };
+}
+
+// ==================== AUTOCOMPLETE ====================
+
+const SUGGEST_FIELDS = ["name", "type", "location"];
+
+// Prefix suggestions for the search box. Matches the start of any word in
+// name, type or location; text indexes only match whole words.
+export async function suggestCropTerms(prefix, limit) {
+  const pattern = new RegExp(`(^|\\s)${escapeRegex(prefix)}`, "i");
+
+  const results = await Promise.all(
+    SUGGEST_FIELDS.map((field) =>
+      cropsCollection.distinct(field, {
+        [field]: pattern,
+        status: PUBLIC_CROP_STATUS,
+        ...NOT_DELETED,
+      })
+    )
+  );
+
+  const seen = new Set();
+  const suggestions = [];
+
+  results.forEach((values, index) => {
+    for (const value of values) {
+      if (typeof value !== "string") continue;
+      const key = value.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      suggestions.push({ value, field: SUGGEST_FIELDS[index] });
+    }
+  });
+
+  // Values that start with the prefix rank first, then alphabetical
+  const lowerPrefix = prefix.toLowerCase();
+  suggestions.sort((a, b) => {
+    const aStarts = a.value.toLowerCase().startsWith(lowerPrefix) ? 0 : 1;
+    const bStarts = b.value.toLowerCase().startsWith(lowerPrefix) ? 0 : 1;
+    return aStarts - bStarts || a.value.localeCompare(b.value);
+  });
+
+  return suggestions.slice(0, limit);
+}
@@ -0,0 +1,136 @@
+// ==================== EMAIL TEMPLATES ====================
+//
+// Each template turns event data into { subject, text, html }. Emails are
+// rendered when they are queued, so the outbox keeps exactly what was sent.
+
+// Base URL of the web app, used for links back to the site (optional)
+const CLIENT_URL = (process.env.CLIENT_URL || "").replace(/\/$/, "");
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function link(pathname) {
+  return CLIENT_URL ? `${CLIENT_URL}${pathname}` : null;
+}
+
+// Wraps paragraphs in the shared text and HTML layout
+function layout({ subject, greeting, paragraphs, url, action }) {
+  const text = [
+    `${greeting},`,
+    ...paragraphs,
+    ...(url ? [`${action}: ${url}`] : []),
+    "— KrishiLink",
+  ].join("\n\n");
+
+  const html = `<!doctype html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; line-height: 1.5;">
+    <h2 style="color: #15803d;">${escapeHtml(subject)}</h2>
+    <p>${escapeHtml(greeting)},</p>
+    ${paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join("\n    ")}
+    ${url ? `<p><a href="${escapeHtml(url)}" style="color: #15803d;">${escapeHtml(action)}</a></p>` : ""}
+    <p style="color: #6b7280;">— KrishiLink</p>
+  </body>
+</html>`;
+
+  return { subject, text, html };
+}
+
+const TEMPLATES = {
+  // data: { ownerName, buyerName, cropName, quantity, unit, pricePerUnit, message }
+  "interest.created": (data) => {
+    const subject = `New interest in your ${data.cropName}`;
+
+    return layout({
+      subject,
+      greeting: `Hi ${data.ownerName || "there"}`,
+      paragraphs: [
+        `${data.buyerName} wants ${data.quantity} ${data.unit} of ${data.cropName} at ${data.pricePerUnit} per ${data.unit}.`,
+        ...(data.message ? [`Their message: "${data.message}"`] : []),
+      ],
+      url: link("/my-posts"),
+      action: "Review the interest",
+    });
+  },
+
+  // data: { buyerName, cropName, quantity, unit, pricePerUnit, total }
+  "interest.accepted": (data) => {
+    const subject = `Your interest in ${data.cropName} was accepted`;
+
+    return layout({
+      subject,
+      greeting: `Hi ${data.buyerName || "there"}`,
+      paragraphs: [
+        `The owner accepted your interest: ${data.quantity} ${data.unit} of ${data.cropName} at ${data.pricePerUnit} per ${data.unit} (total ${data.total}).`,
+        "An order has been created. You can follow it from your interests page.",
+      ],
+      url: link("/my-interests"),
+      action: "View your interests",
+    });
+  },
+
+  // data: { ownerName, buyerName, cropName, quantity, unit, pricePerUnit, total }
+  "offer.accepted": (data) => {
+    const subject = `${data.buyerName} accepted your offer for ${data.cropName}`;
+
+    return layout({
+      subject,
+      greeting: `Hi ${data.ownerName || "there"}`,
+      paragraphs: [
+        `${data.buyerName} accepted your counter-offer: ${data.quantity} ${data.unit} of ${data.cropName} at ${data.pricePerUnit} per ${data.unit} (total ${data.total}).`,
+        "An order has been created and the quantity is reserved. You can follow it from your listings.",
+      ],
+      url: link("/my-posts"),
+      action: "View your listings",
+    });
+  },
+
+  // data: { buyerName, cropName }
+  "interest.rejected": (data) => {
+    const subject = `Your interest in ${data.cropName} was declined`;
+
+    return layout({
+      subject,
+      greeting: `Hi ${data.buyerName || "there"}`,
+      paragraphs: [
+        `Your interest in ${data.cropName} was not accepted this time.`,
+        "Other farmers may be listing similar crops.",
+      ],
+      url: link("/all-crops"),
+      action: "Browse crops",
+    });
+  },
+
+  // data: { ownerName, cropName, cropId }
+  "crop.approved": (data) => {
+    const subject = `Your listing "${data.cropName}" is live`;
+
+    return layout({
+      subject,
+      greeting: `Hi ${data.ownerName || "there"}`,
+      paragraphs: [
+        `Your listing "${data.cropName}" was approved and is now visible to buyers.`,
+      ],
+      url: link(`/crops/${data.cropId}`),
+      action: "View your listing",
+    });
+  },
+};
+
+export const EMAIL_TEMPLATES = Object.keys(TEMPLATES);
+
+export function renderEmail(template, data) {
+  const render = TEMPLATES[template];
+
+  if (!render) {
+    throw new Error(`Unknown email template '${template}'`);
+  }
+
+  return render(data);
+}
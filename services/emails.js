@@ -0,0 +1,242 @@
+import { connectDB, emailOutboxCollection } from "../config/db.js";
+import logger from "../config/logger.js";
+import { createMailTransport } from "./mailTransports.js";
+import { renderEmail } from "./emailTemplates.js";
+
+// ==================== EMAIL OUTBOX ====================
+//
+// Emails are rendered and stored in the outbox first, then delivered. A send
+// that fails is retried later with exponential backoff, until it succeeds or
+// runs out of attempts. Queueing never throws, so email problems cannot fail
+// the request that triggered them.
+
+const MAIL_FROM = process.env.MAIL_FROM || "KrishiLink <no-reply@krishilink.app>";
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+
+// Retries wait 1, 2, 4, 8... minutes
+const RETRY_BASE_MS = 60 * 1000;
+
+// A claimed email is locked this long; if the process dies mid-send, the
+// email becomes due again once the lock runs out
+const SEND_LOCK_MS = 5 * 60 * 1000;
+
+let transport;
+
+function getTransport() {
+  if (!transport) {
+    transport = createMailTransport();
+  }
+  return transport;
+}
+
+// Replace the transport (e.g. with one that records messages in tests);
+// without one, the next send creates the configured transport again
+export function setMailTransport(next) {
+  transport = next || null;
+}
+
+// Claims one due email matching `filter` (so no other worker sends it) and
+// tries to send it. Returns the updated email, or null when none was due.
+async function deliverNext(filter = {}) {
+  const now = new Date();
+
+  const email = await emailOutboxCollection.findOneAndUpdate(
+    {
+      ...filter,
+      status: { $in: ["pending", "sending"] },
+      nextAttemptAt: { $lte: now },
+    },
+    {
+      $set: {
+        status: "sending",
+        nextAttemptAt: new Date(now.getTime() + SEND_LOCK_MS),
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+  );
+
+  if (!email) {
+    return null;
+  }
+
+  let update;
+
+  try {
+    const { messageId } = await getTransport().send({
+      from: MAIL_FROM,
+      to: email.to,
+      subject: email.subject,
+      text: email.text,
+      html: email.html,
+    });
+
+    update = {
+      status: "sent",
+      messageId,
+      transport: getTransport().name,
+      sentAt: new Date(),
+      lastError: null,
+    };
+  } catch (error) {
+    const failed = email.attempts >= MAX_ATTEMPTS;
+
+    update = {
+      status: failed ? "failed" : "pending",
+      nextAttemptAt: failed
+        ? null
+        : new Date(Date.now() + RETRY_BASE_MS * 2 ** (email.attempts - 1)),
+      lastError: error.message,
+    };
+    logger.warn("Failed to send email", {
+      emailId: email._id,
+      template: email.template,
+      attempt: email.attempts,
+      willRetry: !failed,
+      error,
+    });
+  }
+
+  await emailOutboxCollection.updateOne({ _id: email._id }, { $set: update });
+
+  return { ...email, ...update };
+}
+
+// Renders `template` for `to` and stores it in the outbox, then starts
+// delivering it without waiting. Returns the stored email or null.
+export async function queueEmail({ to, template, data }) {
+  if (!to) {
+    return null;
+  }
+
+  try {
+    const email = {
+      to,
+      template,
+      ...renderEmail(template, data),
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: null,
+      createdAt: new Date(),
+    };
+
+    const result = await emailOutboxCollection.insertOne(email);
+    email._id = result.insertedId;
+
+    deliverNext({ _id: email._id }).catch((error) =>
+      logger.error("Failed to deliver email", { emailId: email._id, error })
+    );
+
+    return email;
+  } catch (error) {
+    logger.error("Failed to queue email", { template, error });
+    return null;
+  }
+}
+
+// Sends due emails one at a time, up to `limit`. Returns counts by outcome.
+export async function processOutbox({ limit = 50 } = {}) {
+  const counts = { sent: 0, retrying: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const email = await deliverNext();
+
+    if (!email) break;
+    if (email.status === "sent") counts.sent++;
+    else if (email.status === "failed") counts.failed++;
+    else counts.retrying++;
+  }
+
+  return counts;
+}
+
+// Processes the outbox every `intervalMs` in a long-running server. The
+// timer does not keep the process alive on its own.
+export function startOutboxWorker(intervalMs) {
+  const timer = setInterval(() => {
+    connectDB()
+      .then(() => processOutbox())
+      .catch((error) => logger.error("Email outbox run failed", { error }));
+  }, intervalMs);
+
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+// ==================== EVENTS ====================
+
+export function emailInterestCreated(interest, crop) {
+  return queueEmail({
+    to: interest.ownerEmail,
+    template: "interest.created",
+    data: {
+      ownerName: crop.owner?.ownerName,
+      buyerName: interest.userName,
+      cropName: crop.name,
+      quantity: interest.quantity,
+      unit: crop.unit,
+      pricePerUnit: interest.offer?.pricePerUnit ?? crop.pricePerUnit,
+      message: interest.message,
+    },
+  });
+}
+
+// Only acceptance and rejection are emailed, to the party who did not make
+// the move (see notifyInterestStatus). An owner accepting tells the buyer;
+// a buyer accepting the owner's counter-offer tells the owner. `agreement`
+// is set on accept.
+export function emailInterestStatus(interest, status, actor, crop, agreement) {
+  if (status === "accepted" && actor === "buyer") {
+    return queueEmail({
+      to: interest.ownerEmail,
+      template: "offer.accepted",
+      data: {
+        ownerName: crop.owner?.ownerName,
+        buyerName: interest.userName,
+        cropName: crop.name,
+        quantity: agreement.quantity,
+        unit: crop.unit,
+        pricePerUnit: agreement.pricePerUnit,
+        total: agreement.total,
+      },
+    });
+  }
+
+  if (status === "accepted") {
+    return queueEmail({
+      to: interest.userEmail,
+      template: "interest.accepted",
+      data: {
+        buyerName: interest.userName,
+        cropName: crop.name,
+        quantity: agreement.quantity,
+        unit: crop.unit,
+        pricePerUnit: agreement.pricePerUnit,
+        total: agreement.total,
+      },
+    });
+  }
+
+  if (status === "rejected") {
+    return queueEmail({
+      to: interest.userEmail,
+      template: "interest.rejected",
+      data: { buyerName: interest.userName, cropName: crop.name },
+    });
+  }
+
+  return null;
+}
+
+export function emailCropApproved(crop) {
+  return queueEmail({
+    to: crop.owner?.ownerEmail,
+    template: "crop.approved",
+    data: {
+      ownerName: crop.owner?.ownerName,
+      cropName: crop.name,
+      cropId: crop._id.toString(),
+    },
+  });
+}
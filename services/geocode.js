@@ -0,0 +1,76 @@
+import { DISTRICTS, UPAZILAS } from "../data/bd-locations.js";
+
+// ==================== OFFLINE GEOCODING ====================
+
+// Lowercases and strips punctuation so "Cox's Bazar," matches "coxs bazar"
+function normalize(text) {
+  return ` ${text
+    .toLowerCase()
+    .replace(/['’.]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()} `;
+}
+
+function namesOf(entry) {
+  return [entry.name, ...(entry.aliases || [])].map(normalize);
+}
+
+function mentions(haystack, entry) {
+  return namesOf(entry).some((name) => haystack.includes(name));
+}
+
+// GeoJSON stores [lng, lat]
+export function toPoint(lat, lng) {
+  return { type: "Point", coordinates: [lng, lat] };
+}
+
+// Resolves a free-text location label ("Shibganj, Bogura") to coordinates.
+// Upazilas win over districts since they are more precise; when an upazila
+// name exists in several districts, the one whose district is also
+// mentioned is preferred. Returns { lat, lng, name, precision } or null.
+export function geocodeLocation(label) {
+  if (typeof label !== "string" || label.trim() === "") {
+    return null;
+  }
+
+  const haystack = normalize(label);
+  const districts = DISTRICTS.filter((district) => mentions(haystack, district));
+  const upazilas = UPAZILAS.filter((upazila) => mentions(haystack, upazila));
+
+  if (upazilas.length > 0) {
+    const match =
+      upazilas.find((upazila) =>
+        districts.some((district) => district.name === upazila.district)
+      ) || upazilas[0];
+
+    return {
+      lat: match.lat,
+      lng: match.lng,
+      name: `${match.name}, ${match.district}`,
+      precision: "upazila",
+    };
+  }
+
+  if (districts.length > 0) {
+    const [match] = districts;
+    return { lat: match.lat, lng: match.lng, name: match.name, precision: "district" };
+  }
+
+  return null;
+}
+
+// Geo fields to store on a crop: explicit coordinates from the client win,
+// otherwise the location label is geocoded. Returns null when neither works.
+export function resolveCropGeo(coordinates, location) {
+  if (coordinates?.lat !== undefined && coordinates?.lng !== undefined) {
+    return { geo: toPoint(coordinates.lat, coordinates.lng), geoSource: "user" };
+  }
+
+  const match = geocodeLocation(location);
+
+  if (!match) {
+    return null;
+  }
+
+  return { geo: toPoint(match.lat, match.lng), geoSource: match.precision };
+}
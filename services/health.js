@@ -0,0 +1,33 @@
+import { connectDB, db } from "../config/db.js";
+
+// ==================== HEALTH CHECKS ====================
+
+// A readiness probe must answer quickly, even while MongoDB is unreachable
+const PING_TIMEOUT_MS = Number(process.env.HEALTH_PING_TIMEOUT_MS) || 2000;
+
+const timeout = (ms) =>
+  new Promise((resolve, reject) => {
+    setTimeout(
+      () => reject(new Error(`No answer within ${ms} ms`)),
+      ms
+    ).unref();
+  });
+
+// Sends a real `ping` to MongoDB (connecting first if needed). Returns
+// { status: "up", latencyMs } or { status: "down", latencyMs, error }.
+export async function checkDatabase() {
+  const startedAt = process.hrtime.bigint();
+  const latencyMs = () =>
+    Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10;
+
+  try {
+    await Promise.race([
+      connectDB().then(() => db.command({ ping: 1 })),
+      timeout(PING_TIMEOUT_MS),
+    ]);
+
+    return { status: "up", latencyMs: latencyMs() };
+  } catch (error) {
+    return { status: "down", latencyMs: latencyMs(), error: error.message };
+  }
+}
@@ -0,0 +1,149 @@
+import { ObjectId } from "mongodb";
+import sharp from "sharp";
+import logger from "../config/logger.js";
+import { getStorage } from "./storage.js";
+
+// ==================== IMAGES ====================
+//
+// Uploads are decoded and re-encoded as WebP in two sizes: a display image
+// and a thumbnail. Re-encoding strips EXIF data (including GPS location) and
+// guarantees the stored file really is an image, whatever the client claimed.
+
+export const IMAGE_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+// Formats as reported by sharp for the allowed MIME types
+const IMAGE_FORMATS = ["jpeg", "png", "webp"];
+
+export const MAX_IMAGE_BYTES =
+  Number(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+
+export const MAX_CROP_IMAGES = 6;
+
+// Longest side in pixels; smaller images are never enlarged
+const DISPLAY_SIZE = 1600;
+const THUMBNAIL_SIZE = 400;
+
+// Refuse decompression bombs: a tiny file that decodes to a huge bitmap
+const MAX_INPUT_PIXELS = 50_000_000;
+
+// Why sharp could not read an upload, for the client
+function decodeError(file, error) {
+  return /pixel limit/.test(error.message)
+    ? `${file.originalname} is over 50 megapixels`
+    : `${file.originalname} is not a valid image`;
+}
+
+// Resizes one upload and stores both sizes under `prefix`. Returns the image
+// record kept on the crop or user, or { error } when the file is not a
+// usable image.
+export async function storeImage(file, prefix) {
+  const input = sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS });
+
+  let metadata;
+  try {
+    metadata = await input.metadata();
+  } catch (error) {
+    return { error: decodeError(file, error) };
+  }
+
+  if (!IMAGE_FORMATS.includes(metadata.format)) {
+    return { error: `${file.originalname} must be a JPEG, PNG or WebP image` };
+  }
+
+  // rotate() applies the EXIF orientation before it is stripped. The header
+  // can be intact while the pixel data is not, so a truncated or corrupt file
+  // only fails here.
+  let display;
+  let thumbnail;
+  try {
+    [display, thumbnail] = await Promise.all([
+      input
+        .clone()
+        .rotate()
+        .resize(DISPLAY_SIZE, DISPLAY_SIZE, {
+          fit: "inside",
+          withoutEnlargement: true,
+        })
+        .webp({ quality: 82 })
+        .toBuffer({ resolveWithObject: true }),
+      input
+        .clone()
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+          fit: "inside",
+          withoutEnlargement: true,
+        })
+        .webp({ quality: 75 })
+        .toBuffer(),
+    ]);
+  } catch (error) {
+    return { error: decodeError(file, error) };
+  }
+
+  const _id = new ObjectId();
+  const key = `${prefix}/${_id}.webp`;
+  const thumbnailKey = `${prefix}/${_id}-thumb.webp`;
+  const storage = getStorage();
+
+  const [url, thumbnailUrl] = await Promise.all([
+    storage.put(key, display.data, "image/webp"),
+    storage.put(thumbnailKey, thumbnail, "image/webp"),
+  ]);
+
+  return {
+    image: {
+      _id,
+      url,
+      thumbnailUrl,
+      key,
+      thumbnailKey,
+      width: display.info.width,
+      height: display.info.height,
+      size: display.info.size,
+      uploadedAt: new Date(),
+    },
+  };
+}
+
+// Stores several uploads. When one is rejected or fails, the ones already
+// stored are removed again. Returns { images } or { error }.
+export async function storeImages(files, prefix) {
+  const images = [];
+
+  try {
+    for (const file of files) {
+      const result = await storeImage(file, prefix);
+
+      if (result.error) {
+        await deleteImages(images);
+        return { error: result.error };
+      }
+
+      images.push(result.image);
+    }
+  } catch (error) {
+    await deleteImages(images);
+    throw error;
+  }
+
+  return { images };
+}
+
+// Removes the stored files of image records. Never throws: a leftover file
+// must not fail the request that deleted its crop or user.
+export async function deleteImages(images = []) {
+  const keys = images.flatMap((image) =>
+    [image?.key, image?.thumbnailKey].filter(Boolean)
+  );
+
+  if (keys.length === 0) {
+    return;
+  }
+
+  try {
+    const storage = getStorage();
+    await Promise.all(keys.map((key) => storage.delete(key)));
+  } catch (error) {
+    logger.error("Failed to delete stored images", { keys, error });
+  }
+}
@@ -0,0 +1,159 @@
+// ==================== INTEREST STATE MACHINE ====================
+//
+//   pending ──accept (owner)──▶ accepted ──complete (owner)──▶ completed
+//      │                           │
+//      ├──reject (owner)──▶ rejected ◀──reject (owner)──┤
+//      └──cancel (buyer)──▶ cancelled ◀──cancel (buyer)──┘
+//
+// Leaving "accepted" for "rejected" or "cancelled" gives the reserved
+// quantity back to the crop. An accepted interest with an open order can only
+// leave "accepted" when the order may be completed or cancelled by the same
+// actor (see orderTransitions.js), so a dispatched, delivered or disputed
+// order is not closed from here.
+//
+// Pending interests become "withdrawn" when their crop is deleted, and
+// pending again if it is restored (see cropDeletion.js); nobody can make
+// that move directly.
+//
+// While pending, buyer and owner may exchange counter-offers. Accepting is
+// done by whoever received the latest offer, so a buyer can accept the
+// owner's counter-offer; its price and quantity are then locked in.
+
+export const INTEREST_STATUSES = [
+  "pending",
+  "accepted",
+  "rejected",
+  "cancelled",
+  "completed",
+  "withdrawn",
+];
+
+// from -> to -> actors allowed to make the move
+const TRANSITIONS = {
+  pending: {
+    accepted: ["owner", "buyer"],
+    rejected: ["owner"],
+    cancelled: ["buyer"],
+  },
+  accepted: {
+    completed: ["owner"],
+    rejected: ["owner"],
+    cancelled: ["buyer"],
+  },
+  rejected: {},
+  cancelled: {},
+  completed: {},
+  withdrawn: {},
+};
+
+// Returns the part a user plays in an interest: "owner", "buyer" or null
+export function getInterestActor(interest, email) {
+  if (interest.ownerEmail === email) return "owner";
+  if (interest.userEmail === email) return "buyer";
+  return null;
+}
+
+// Checks whether `actor` may move an interest from `from` to `to`.
+// Returns { allowed: true } or { allowed: false, code, message }.
+export function checkTransition(from, to, actor) {
+  const current = from || "pending";
+
+  if (current === to) {
+    return {
+      allowed: false,
+      code: 400,
+      message: `Interest has already been ${to}`,
+    };
+  }
+
+  const allowedActors = TRANSITIONS[current]?.[to];
+
+  if (!allowedActors) {
+    return {
+      allowed: false,
+      code: 400,
+      message: `Cannot change interest from '${current}' to '${to}'`,
+    };
+  }
+
+  if (!allowedActors.includes(actor)) {
+    return {
+      allowed: false,
+      code: 403,
+      message: `Unauthorized: Only the ${allowedActors.join(" or ")} can mark this interest as ${to}`,
+    };
+  }
+
+  return { allowed: true };
+}
+
+// Change to apply to the crop's quantity for a transition
+export function getStockDelta(from, to, quantity) {
+  if (!quantity) return 0;
+  if (to === "accepted") return -quantity;
+  if (from === "accepted" && (to === "rejected" || to === "cancelled")) {
+    return quantity;
+  }
+  return 0;
+}
+
+export function historyEntry(from, to, actor, actorEmail) {
+  return {
+    from: from || null,
+    to,
+    actor,
+    actorEmail,
+    at: new Date(),
+  };
+}
+
+// ==================== OFFERS ====================
+
+export function offerEntry(pricePerUnit, quantity, actor, actorEmail, note) {
+  return {
+    pricePerUnit,
+    quantity,
+    by: actor,
+    byEmail: actorEmail,
+    ...(note ? { note } : {}),
+    at: new Date(),
+  };
+}
+
+// The offer on the table. Interests created before negotiation have none,
+// which counts as the buyer asking for their quantity at the listed price.
+export function currentOffer(interest, crop) {
+  return (
+    interest.offer || {
+      pricePerUnit: crop.pricePerUnit,
+      quantity: interest.quantity,
+      by: "buyer",
+      byEmail: interest.userEmail,
+    }
+  );
+}
+
+// Only the party who received the latest offer can accept it.
+// Returns { allowed: true } or { allowed: false, code, message }.
+export function checkOfferAcceptance(offer, actor) {
+  if (offer.by === actor) {
+    const other = actor === "owner" ? "buyer" : "owner";
+    return {
+      allowed: false,
+      code: 400,
+      message: `You made the latest offer. Wait for the ${other} to accept it or counter.`,
+    };
+  }
+
+  return { allowed: true };
+}
+
+// Price and quantity fixed when an interest is accepted
+export function agreementFrom(offer) {
+  return {
+    pricePerUnit: offer.pricePerUnit,
+    quantity: offer.quantity,
+    total: Math.round(offer.pricePerUnit * offer.quantity * 100) / 100,
+    agreedAt: new Date(),
+  };
+}
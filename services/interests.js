@@ -0,0 +1,526 @@
+import { ObjectId } from "mongodb";
+import {
+  startTransactionSession,
+  cropsCollection,
+  interestsCollection,
+  ordersCollection,
+  usersCollection,
+} from "../config/db.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  refusedTransitionError,
+} from "../errors/appErrors.js";
+import {
+  INTEREST_STATUSES,
+  getInterestActor,
+  checkTransition,
+  getStockDelta,
+  historyEntry,
+  offerEntry,
+  currentOffer,
+  checkOfferAcceptance,
+  agreementFrom,
+} from "./interestTransitions.js";
+import {
+  OPEN_ORDER_STATUSES,
+  buildOrder,
+  checkOrderTransition,
+} from "./orderTransitions.js";
+import { notifyInterestStatus } from "./notifications.js";
+import { emailInterestStatus } from "./emails.js";
+import { recordAudit } from "./audit.js";
+import { interestStatusChanges, ordersCreated } from "./metrics.js";
+
+// Sold-out crops auto-reject their remaining pending interests when enabled
+const AUTO_REJECT_ON_SOLD_OUT = process.env.AUTO_REJECT_ON_SOLD_OUT === "true";
+
+// The fields interests had when they were embedded in crops. Crop responses
+// are public, so offers, the agreement and the history stay out of them; the
+// buyer and the owner see those through /api/interests.
+export const PUBLIC_INTEREST_PROJECTION = {
+  cropId: 1,
+  userEmail: 1,
+  userName: 1,
+  quantity: 1,
+  message: 1,
+  status: 1,
+  createdAt: 1,
+};
+
+// Fills in `interests` on each crop from the interests collection, so crop
+// responses keep the shape they had when interests were embedded
+export async function attachInterests(crops) {
+  const list = Array.isArray(crops) ? crops : [crops];
+  const cropIds = list.filter(Boolean).map((crop) => crop._id);
+
+  if (cropIds.length === 0) {
+    return crops;
+  }
+
+  const interests = await interestsCollection
+    .find(
+      { cropId: { $in: cropIds } },
+      { projection: PUBLIC_INTEREST_PROJECTION }
+    )
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  const byCrop = new Map();
+  for (const interest of interests) {
+    const key = interest.cropId.toString();
+    if (!byCrop.has(key)) byCrop.set(key, []);
+    byCrop.get(key).push(interest);
+  }
+
+  for (const crop of list) {
+    if (crop) crop.interests = byCrop.get(crop._id.toString()) || [];
+  }
+
+  return crops;
+}
+
+// Applies a status transition atomically: the stock change, the interest
+// status and history entry, and (optionally) auto-rejecting the remaining
+// pending interests once the crop sells out all commit or roll back together.
+// On accept, `agreement` (price and quantity of the accepted offer) is locked
+// into the interest, its quantity is what gets reserved, and an order is
+// created with `fulfilment`. Leaving "accepted" closes that order to match,
+// which must be a move the order's own rules allow (a dispatched order can't
+// be cancelled, a disputed one is closed by an admin); `note` goes into the
+// order's history.
+//
+// Returns { autoRejected, order }. A refused or conflicting change throws,
+// which also aborts the transaction.
+export async function applyStatusTransition({
+  interest,
+  status,
+  actor,
+  actorEmail,
+  agreement,
+  fulfilment,
+  note,
+  autoRejectRemaining = AUTO_REJECT_ON_SOLD_OUT,
+}) {
+  const session = startTransactionSession();
+  let autoRejected = 0;
+  let autoRejectedInterests = [];
+  let order = null;
+  let crop;
+  // Audit entries are written once the transaction has committed
+  let audits = [];
+
+  try {
+    await session.withTransaction(async () => {
+      // The callback is retried on transient errors, so reset per attempt
+      autoRejected = 0;
+      autoRejectedInterests = [];
+      order = null;
+      audits = [];
+      const now = new Date();
+      const quantity = agreement?.quantity ?? interest.quantity;
+      const stockDelta = getStockDelta(interest.status, status, quantity);
+
+      if (stockDelta < 0) {
+        // The $gte guard and the $inc apply as one operation
+        crop = await cropsCollection.findOneAndUpdate(
+          { _id: interest.cropId, quantity: { $gte: -stockDelta } },
+          { $inc: { quantity: stockDelta }, $set: { updatedAt: now } },
+          { session, returnDocument: "after" }
+        );
+
+        if (!crop) {
+          const current = await cropsCollection.findOne(
+            { _id: interest.cropId },
+            { session, projection: { quantity: 1 } }
+          );
+
+          throw new ConflictError(
+            `Insufficient quantity available. Requested: ${quantity}, Available: ${current?.quantity ?? 0}`,
+            { data: { requested: quantity, available: current?.quantity ?? 0 } }
+          );
+        }
+      } else {
+        crop = await cropsCollection.findOneAndUpdate(
+          { _id: interest.cropId },
+          {
+            ...(stockDelta > 0 ? { $inc: { quantity: stockDelta } } : {}),
+            $set: { updatedAt: now },
+          },
+          { session, returnDocument: "after" }
+        );
+      }
+
+      if (stockDelta !== 0 && crop) {
+        audits.push({
+          entityType: "crop",
+          entityId: interest.cropId,
+          action: "stock",
+          before: { quantity: crop.quantity - stockDelta },
+          after: { quantity: crop.quantity },
+        });
+      }
+
+      // Guard on the status and offer we validated against, so concurrent
+      // changes (including a late counter-offer) conflict
+      const updatedInterest = await interestsCollection.findOneAndUpdate(
+        {
+          _id: interest._id,
+          status: interest.status,
+          ...(interest.offer
+            ? { "offer.at": interest.offer.at }
+            : { offer: { $exists: false } }),
+        },
+        {
+          $set: {
+            status,
+            ...(agreement ? { agreement, quantity } : {}),
+            updatedAt: now,
+          },
+          $push: {
+            statusHistory: historyEntry(interest.status, status, actor, actorEmail),
+          },
+        },
+        { session, returnDocument: "after" }
+      );
+
+      if (!updatedInterest) {
+        const current = await interestsCollection.findOne(
+          { _id: interest._id },
+          { session, projection: { status: 1 } }
+        );
+
+        throw new ConflictError("Interest was changed by another request", {
+          data: { currentStatus: current?.status },
+        });
+      }
+
+      audits.push({
+        entityType: "interest",
+        entityId: interest._id,
+        action: "status",
+        before: interest,
+        after: updatedInterest,
+      });
+
+      if (status === "accepted" && agreement) {
+        order = buildOrder({
+          interest,
+          crop,
+          agreement,
+          fulfilment: fulfilment || { method: "pickup" },
+          actor,
+          actorEmail,
+        });
+        const inserted = await ordersCollection.insertOne(order, { session });
+        order._id = inserted.insertedId;
+      }
+
+      if (interest.status === "accepted") {
+        const openOrder = await ordersCollection.findOne(
+          { interestId: interest._id, status: { $in: OPEN_ORDER_STATUSES } },
+          { session, projection: { status: 1 } }
+        );
+
+        if (openOrder) {
+          const orderStatus = status === "completed" ? "completed" : "cancelled";
+          const orderTransition = checkOrderTransition(
+            openOrder.status,
+            orderStatus,
+            actor
+          );
+
+          if (!orderTransition.allowed) {
+            throw refusedTransitionError(orderTransition, {
+              data: { orderId: openOrder._id, orderStatus: openOrder.status },
+            });
+          }
+
+          const closed = await ordersCollection.updateOne(
+            { _id: openOrder._id, status: openOrder.status },
+            {
+              $set: { status: orderStatus, updatedAt: now },
+              $push: {
+                statusHistory: {
+                  ...historyEntry(
+                    openOrder.status,
+                    orderStatus,
+                    actor,
+                    actorEmail
+                  ),
+                  ...(note ? { note } : {}),
+                },
+              },
+            },
+            { session }
+          );
+
+          if (closed.matchedCount === 0) {
+            throw new ConflictError("Order was changed by another request");
+          }
+        }
+      }
+
+      if (status === "accepted" && autoRejectRemaining && crop?.quantity <= 0) {
+        const remaining = await interestsCollection
+          .find(
+            { cropId: interest.cropId, status: "pending" },
+            {
+              session,
+              projection: {
+                cropId: 1,
+                userEmail: 1,
+                userName: 1,
+                ownerEmail: 1,
+              },
+            }
+          )
+          .toArray();
+        const remainingIds = remaining.map(({ _id }) => _id);
+
+        const rejection = await interestsCollection.updateMany(
+          { _id: { $in: remainingIds }, status: "pending" },
+          {
+            $set: { status: "rejected", updatedAt: now },
+            $push: {
+              statusHistory: historyEntry("pending", "rejected", "system", null),
+            },
+          },
+          { session }
+        );
+        autoRejected = rejection.modifiedCount;
+        autoRejectedInterests = remaining;
+
+        for (const _id of remainingIds) {
+          audits.push({
+            entityType: "interest",
+            entityId: _id,
+            action: "status",
+            before: { status: "pending" },
+            after: { status: "rejected" },
+          });
+        }
+      }
+    });
+
+    for (const entry of audits) {
+      await recordAudit(entry);
+    }
+
+    // Buyers hear about an auto-rejection like any other rejection
+    for (const rejected of autoRejectedInterests) {
+      await notifyInterestStatus(rejected, "rejected", "system", crop);
+      await emailInterestStatus(rejected, "rejected", "system", crop);
+    }
+
+    interestStatusChanges.inc({ status });
+    if (autoRejected > 0) {
+      interestStatusChanges.inc({ status: "rejected" }, autoRejected);
+    }
+    if (order) {
+      ordersCreated.inc();
+    }
+
+    return { autoRejected, order };
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Shared interest-status service behind PATCH /api/interests/:id and the
+// legacy PUT /api/interests/status. `cropId` is optional; when given, the
+// interest must belong to that crop.
+//
+// Accepting creates an order; `fulfilment` ({ method, address, note })
+// defaults to pickup, and delivery falls back to the buyer's profile address.
+//
+// Returns { crop, autoRejected, order } with the updated crop (interests
+// attached).
+export async function updateInterestStatus({
+  interestId,
+  cropId,
+  status,
+  userEmail,
+  autoRejectRemaining,
+  fulfilment,
+}) {
+  if (!status) {
+    throw new BadRequestError("Missing required field: status");
+  }
+
+  if (!INTEREST_STATUSES.includes(status)) {
+    throw new BadRequestError(
+      `Invalid status. Must be one of: ${INTEREST_STATUSES.join(", ")}`
+    );
+  }
+
+  if (cropId !== undefined && !ObjectId.isValid(cropId)) {
+    throw new BadRequestError("Invalid crop ID");
+  }
+
+  if (!ObjectId.isValid(interestId)) {
+    throw new BadRequestError("Invalid interest ID");
+  }
+
+  const interest = await interestsCollection.findOne({
+    _id: new ObjectId(interestId),
+    ...(cropId !== undefined ? { cropId: new ObjectId(cropId) } : {}),
+  });
+
+  if (!interest) {
+    throw new NotFoundError("Interest not found");
+  }
+
+  const crop = await cropsCollection.findOne({ _id: interest.cropId });
+
+  if (!crop) {
+    throw new NotFoundError("Crop not found");
+  }
+
+  // Owners accept, reject and complete; buyers cancel, or accept a counter-offer
+  const actor = getInterestActor(interest, userEmail);
+
+  if (!actor) {
+    throw new ForbiddenError(
+      "Unauthorized: You cannot change the status of this interest"
+    );
+  }
+
+  const transition = checkTransition(interest.status, status, actor);
+
+  if (!transition.allowed) {
+    throw refusedTransitionError(transition);
+  }
+
+  let agreement;
+  let orderFulfilment;
+
+  if (status === "accepted") {
+    const offer = currentOffer(interest, crop);
+    const acceptance = checkOfferAcceptance(offer, actor);
+
+    if (!acceptance.allowed) {
+      throw refusedTransitionError(acceptance);
+    }
+
+    agreement = agreementFrom(offer);
+    orderFulfilment = { method: "pickup", ...fulfilment };
+
+    if (orderFulfilment.method === "delivery" && !orderFulfilment.address) {
+      const buyer = await usersCollection.findOne(
+        { email: interest.userEmail },
+        { projection: { address: 1 } }
+      );
+
+      if (!buyer?.address) {
+        throw new BadRequestError(
+          "A delivery address is required: send fulfilment.address or add one to the buyer's profile"
+        );
+      }
+
+      orderFulfilment.address = buyer.address;
+    }
+  }
+
+  // Stock, status and history are written in one transaction
+  const outcome = await applyStatusTransition({
+    interest,
+    status,
+    actor,
+    actorEmail: userEmail,
+    agreement,
+    fulfilment: orderFulfilment,
+    autoRejectRemaining:
+      typeof autoRejectRemaining === "boolean" ? autoRejectRemaining : undefined,
+  });
+
+  await notifyInterestStatus(interest, status, actor, crop);
+  await emailInterestStatus(interest, status, actor, crop, agreement);
+
+  const updatedCrop = await cropsCollection.findOne({ _id: crop._id });
+  await attachInterests(updatedCrop);
+
+  return {
+    crop: updatedCrop,
+    autoRejected: outcome.autoRejected,
+    order: outcome.order,
+  };
+}
+
+// Replaces the offer on a pending interest with a counter-offer from its
+// buyer or crop owner. `quantity` defaults to the current offer's quantity.
+//
+// Returns the updated interest.
+export async function makeCounterOffer({
+  interestId,
+  userEmail,
+  pricePerUnit,
+  quantity,
+  note,
+}) {
+  if (!ObjectId.isValid(interestId)) {
+    throw new BadRequestError("Invalid interest ID");
+  }
+
+  const interest = await interestsCollection.findOne({
+    _id: new ObjectId(interestId),
+  });
+
+  if (!interest) {
+    throw new NotFoundError("Interest not found");
+  }
+
+  const actor = getInterestActor(interest, userEmail);
+
+  if (!actor) {
+    throw new ForbiddenError(
+      "Unauthorized: Only the buyer and the crop owner can negotiate this interest"
+    );
+  }
+
+  if (interest.status !== "pending") {
+    throw new BadRequestError(
+      `Offers can only be made on pending interests (this one is ${interest.status})`
+    );
+  }
+
+  const crop = await cropsCollection.findOne({ _id: interest.cropId });
+
+  if (!crop) {
+    throw new NotFoundError("Crop not found");
+  }
+
+  const previous = currentOffer(interest, crop);
+  const offer = offerEntry(
+    pricePerUnit,
+    quantity ?? previous.quantity,
+    actor,
+    userEmail,
+    note
+  );
+
+  const updatedInterest = await interestsCollection.findOneAndUpdate(
+    { _id: interest._id, status: "pending" },
+    {
+      $set: { offer, updatedAt: offer.at },
+      $push: { offers: offer },
+    },
+    { returnDocument: "after" }
+  );
+
+  if (!updatedInterest) {
+    throw new ConflictError("Interest was changed by another request");
+  }
+
+  await recordAudit({
+    entityType: "interest",
+    entityId: interest._id,
+    action: "offer",
+    before: interest,
+    after: updatedInterest,
+  });
+
+  return updatedInterest;
+}
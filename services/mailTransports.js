@@ -0,0 +1,114 @@
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import nodemailer from "nodemailer";
+import logger from "../config/logger.js";
+
+// ==================== MAIL TRANSPORTS ====================
+//
+// A transport is { name, send(message) } where `message` is
+// { from, to, subject, text, html } and send resolves to { messageId } or
+// throws. MAIL_TRANSPORT picks one:
+//
+//   smtp    - delivers through SMTP_HOST (the default when it is set)
+//   file    - writes each email as an .eml file to MAIL_FILE_DIR
+//   console - logs each email (the default otherwise; refused in production,
+//             where an email only in the logs would never reach its reader)
+
+export const MAIL_TRANSPORTS = ["smtp", "file", "console"];
+
+function smtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error("SMTP_HOST is required for the smtp mail transport");
+  }
+
+  const port = Number(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE
+      ? process.env.SMTP_SECURE === "true"
+      : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+// Builds the raw message with nodemailer so the file matches what SMTP
+// would have sent, and can be opened in any mail client
+function fileTransport() {
+  const dir = process.env.MAIL_FILE_DIR || path.join("tmp", "mail");
+  const transporter = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: "unix",
+  });
+
+  return {
+    name: "file",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}.eml`;
+
+      await mkdir(dir, { recursive: true });
+      await writeFile(path.join(dir, fileName), info.message);
+
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+// Goes through the logger, so the recipient and any addresses in the body
+// are masked like in every other log line
+function consoleTransport() {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error(
+      "The console mail transport cannot be used in production. Set SMTP_HOST (or MAIL_TRANSPORT=file)"
+    );
+  }
+
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    name: "console",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      logger.info("Email written to the log", {
+        messageId: info.messageId,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+      });
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+const FACTORIES = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport,
+};
+
+export function createMailTransport(
+  name = process.env.MAIL_TRANSPORT ||
+    (process.env.SMTP_HOST ? "smtp" : "console")
+) {
+  const factory = FACTORIES[name];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown MAIL_TRANSPORT '${name}'. Use one of: ${MAIL_TRANSPORTS.join(", ")}`
+    );
+  }
+
+  return factory();
+}
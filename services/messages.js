@@ -0,0 +1,116 @@
+import { ObjectId } from "mongodb";
+import { interestsCollection, messagesCollection } from "../config/db.js";
+import {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} from "../errors/appErrors.js";
+import { getInterestActor } from "./interestTransitions.js";
+import { notifyMessage } from "./notifications.js";
+
+// ==================== INTEREST MESSAGE THREADS ====================
+//
+// Each interest has one thread between the buyer and the crop owner.
+// Messages are paged newest first by _id (ObjectIds grow over time), so
+// `before=<_id>` is a stable cursor even while new messages arrive.
+
+// Loads an interest for its thread. Only the buyer and the crop owner may
+// read or post. Returns { interest, actor }.
+export async function findThreadInterest(interestId, email) {
+  if (!ObjectId.isValid(interestId)) {
+    throw new BadRequestError("Invalid interest ID");
+  }
+
+  const interest = await interestsCollection.findOne({
+    _id: new ObjectId(interestId),
+  });
+
+  if (!interest) {
+    throw new NotFoundError("Interest not found");
+  }
+
+  const actor = getInterestActor(interest, email);
+
+  if (!actor) {
+    throw new ForbiddenError(
+      "Unauthorized: Only the buyer and the crop owner can access this conversation"
+    );
+  }
+
+  return { interest, actor };
+}
+
+// One page of a thread, returned oldest to newest for display. `nextCursor`
+// fetches the page of older messages before this one.
+export async function listMessages({ interestId, readerEmail, before, limit }) {
+  const filter = { interestId };
+
+  if (before) {
+    filter._id = { $lt: new ObjectId(before) };
+  }
+
+  const [page, unreadCount] = await Promise.all([
+    messagesCollection
+      .find(filter)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .toArray(),
+    messagesCollection.countDocuments({
+      interestId,
+      recipientEmail: readerEmail,
+      readAt: null,
+    }),
+  ]);
+
+  const hasMore = page.length > limit;
+  const messages = page.slice(0, limit).reverse();
+
+  return {
+    messages,
+    hasMore,
+    nextCursor: hasMore ? messages[0]._id.toString() : null,
+    unreadCount,
+  };
+}
+
+export async function postMessage({ interest, actor, sender, body }) {
+  const now = new Date();
+  const message = {
+    interestId: interest._id,
+    cropId: interest.cropId,
+    senderEmail: sender.email,
+    senderName: sender.name || "",
+    senderRole: actor,
+    recipientEmail: actor === "owner" ? interest.userEmail : interest.ownerEmail,
+    body,
+    readAt: null,
+    createdAt: now,
+  };
+
+  const result = await messagesCollection.insertOne(message);
+  message._id = result.insertedId;
+
+  await interestsCollection.updateOne(
+    { _id: interest._id },
+    { $set: { lastMessageAt: now } }
+  );
+  await notifyMessage(message);
+
+  return message;
+}
+
+// Read receipts: stamps `readAt` on the reader's unread messages, up to and
+// including `upTo` when given. Returns how many were marked.
+export async function markMessagesRead({ interestId, readerEmail, upTo }) {
+  const filter = { interestId, recipientEmail: readerEmail, readAt: null };
+
+  if (upTo) {
+    filter._id = { $lte: new ObjectId(upTo) };
+  }
+
+  const { modifiedCount } = await messagesCollection.updateMany(filter, {
+    $set: { readAt: new Date() },
+  });
+
+  return modifiedCount;
+}
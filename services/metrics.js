@@ -0,0 +1,103 @@
+import client from "prom-client";
+import { client as mongoClient } from "../config/db.js";
+
+// ==================== METRICS ====================
+//
+// Prometheus metrics served at GET /metrics: Node.js process metrics, HTTP
+// request counts and latency per route, the MongoDB connection pool, and
+// business counters. Values are kept per process, so on serverless
+// deployments each instance reports its own (Prometheus sums them).
+
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry });
+
+// ----- HTTP -----
+
+const httpRequests = new client.Counter({
+  name: "http_requests_total",
+  help: "HTTP requests handled, by method, route pattern and status",
+  labelNames: ["method", "route", "status"],
+  registers: [registry],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request latency in seconds, by method, route pattern and status",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+});
+
+// `route` must be a pattern (/api/crops/:id), never a raw URL, so the number
+// of series stays bounded
+export function observeRequest({ method, route, status, durationSeconds }) {
+  const labels = { method, route, status: String(status ?? "aborted") };
+
+  httpRequests.inc(labels);
+  httpRequestDuration.observe(labels, durationSeconds);
+}
+
+// ----- MongoDB connection pool -----
+//
+// Kept up to date from the driver's connection pool events
+
+const poolConnections = new client.Gauge({
+  name: "mongodb_pool_connections",
+  help: "MongoDB connections, by state (open: in the pool, in_use: checked out)",
+  labelNames: ["state"],
+  registers: [registry],
+});
+
+const poolCheckoutFailures = new client.Counter({
+  name: "mongodb_pool_checkout_failures_total",
+  help: "Times a request could not get a MongoDB connection, by reason",
+  labelNames: ["reason"],
+  registers: [registry],
+});
+
+poolConnections.set({ state: "open" }, 0);
+poolConnections.set({ state: "in_use" }, 0);
+
+mongoClient.on("connectionCreated", () => poolConnections.inc({ state: "open" }));
+mongoClient.on("connectionClosed", () => poolConnections.dec({ state: "open" }));
+mongoClient.on("connectionCheckedOut", () =>
+  poolConnections.inc({ state: "in_use" })
+);
+mongoClient.on("connectionCheckedIn", () =>
+  poolConnections.dec({ state: "in_use" })
+);
+mongoClient.on("connectionCheckOutFailed", (event) =>
+  poolCheckoutFailures.inc({ reason: event.reason })
+);
+// A cleared pool closes its connections without checking them back in
+mongoClient.on("connectionPoolCleared", () =>
+  poolConnections.set({ state: "in_use" }, 0)
+);
+
+// ----- Business -----
+
+export const cropsCreated = new client.Counter({
+  name: "krishilink_crops_created_total",
+  help: "Crop listings created",
+  registers: [registry],
+});
+
+export const interestsCreated = new client.Counter({
+  name: "krishilink_interests_created_total",
+  help: "Interests sent by buyers",
+  registers: [registry],
+});
+
+export const interestStatusChanges = new client.Counter({
+  name: "krishilink_interest_status_changes_total",
+  help: "Interest status changes, by new status (accepted, rejected, ...)",
+  labelNames: ["status"],
+  registers: [registry],
+});
+
+export const ordersCreated = new client.Counter({
+  name: "krishilink_orders_created_total",
+  help: "Orders created from accepted interests",
+  registers: [registry],
+});
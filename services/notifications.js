@@ -0,0 +1,198 @@
+import { EventEmitter } from "node:events";
+import { ObjectId } from "mongodb";
+import { notificationsCollection } from "../config/db.js";
+import logger from "../config/logger.js";
+
+// ==================== NOTIFICATIONS ====================
+//
+// Every event is stored first, then published on an in-process bus so open
+// SSE streams on this instance get it immediately. Streams also re-read the
+// collection periodically, which picks up events stored by other instances
+// (serverless functions, multiple servers).
+
+export const NOTIFICATION_TYPES = [
+  "interest.created",
+  "interest.status_changed",
+  "message.received",
+  "crop.moderated",
+];
+
+const bus = new EventEmitter();
+// One listener per open stream, so the default limit of 10 is too low
+bus.setMaxListeners(0);
+
+// Stores and publishes a notification. Never throws: a failed notification
+// must not fail the request that triggered it.
+export async function notify({ recipientEmail, type, title, body, data = {} }) {
+  if (!recipientEmail) {
+    return null;
+  }
+
+  try {
+    const notification = {
+      recipientEmail,
+      type,
+      title,
+      body,
+      data,
+      readAt: null,
+      createdAt: new Date(),
+    };
+
+    const result = await notificationsCollection.insertOne(notification);
+    notification._id = result.insertedId;
+    bus.emit(recipientEmail, notification);
+
+    return notification;
+  } catch (error) {
+    logger.error("Failed to store notification", { type, error });
+    return null;
+  }
+}
+
+// Calls `listener` with each notification published for `email` on this
+// instance. Returns a function that unsubscribes.
+export function subscribe(email, listener) {
+  bus.on(email, listener);
+  return () => bus.off(email, listener);
+}
+
+// A page of notifications. By default newest first, with `before` paging
+// back through older ones. With `after` (polling) only newer ones are
+// returned, oldest first, and `nextCursor` is always the next `after`.
+export async function listNotifications({ email, before, after, unread, limit }) {
+  const filter = { recipientEmail: email };
+
+  if (after) {
+    filter._id = { $gt: new ObjectId(after) };
+  } else if (before) {
+    filter._id = { $lt: new ObjectId(before) };
+  }
+
+  if (unread) {
+    filter.readAt = null;
+  }
+
+  const page = await notificationsCollection
+    .find(filter)
+    .sort({ _id: after ? 1 : -1 })
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = page.length > limit;
+  const notifications = page.slice(0, limit);
+  const last = notifications[notifications.length - 1];
+  let nextCursor = hasMore ? last._id.toString() : null;
+
+  // A poller always gets a cursor to resume from, even with nothing new
+  if (after) {
+    nextCursor = last ? last._id.toString() : after;
+  }
+
+  return { notifications, hasMore, nextCursor };
+}
+
+// Notifications for `email` stored after `cursor` (an ObjectId), oldest
+// first. Used by streams to catch up on events from other instances.
+export function findNotificationsAfter(email, cursor, limit = 100) {
+  return notificationsCollection
+    .find({ recipientEmail: email, _id: { $gt: cursor } })
+    .sort({ _id: 1 })
+    .limit(limit)
+    .toArray();
+}
+
+export function countUnread(email) {
+  return notificationsCollection.countDocuments({
+    recipientEmail: email,
+    readAt: null,
+  });
+}
+
+// Marks the user's unread notifications as read: one by `id`, everything up
+// to and including `upTo`, or all of them. Returns how many were marked.
+export async function markNotificationsRead({ email, id, upTo }) {
+  const filter = { recipientEmail: email, readAt: null };
+
+  if (id) {
+    filter._id = new ObjectId(id);
+  } else if (upTo) {
+    filter._id = { $lte: new ObjectId(upTo) };
+  }
+
+  const { modifiedCount } = await notificationsCollection.updateMany(filter, {
+    $set: { readAt: new Date() },
+  });
+
+  return modifiedCount;
+}
+
+// ==================== EVENTS ====================
+
+export function notifyInterestCreated(interest, crop) {
+  return notify({
+    recipientEmail: interest.ownerEmail,
+    type: "interest.created",
+    title: "New interest in your crop",
+    body: `${interest.userName} wants ${interest.quantity} ${crop.unit} of ${crop.name}`,
+    data: { interestId: interest._id, cropId: crop._id },
+  });
+}
+
+// Tells the other party that `actor` moved the interest to `status`. Moves
+// made by the system (auto-reject) concern the buyer; an admin's concern both.
+export async function notifyInterestStatus(interest, status, actor, crop) {
+  const recipients = {
+    owner: [interest.userEmail],
+    buyer: [interest.ownerEmail],
+    system: [interest.userEmail],
+  }[actor] || [interest.userEmail, interest.ownerEmail];
+
+  for (const recipientEmail of recipients) {
+    await notify({
+      recipientEmail,
+      type: "interest.status_changed",
+      title: `Interest ${status}`,
+      body: `The interest in ${crop?.name || "a crop"} was marked ${status}`,
+      data: { interestId: interest._id, cropId: interest.cropId, status },
+    });
+  }
+}
+
+export function notifyMessage(message) {
+  return notify({
+    recipientEmail: message.recipientEmail,
+    type: "message.received",
+    title: `New message from ${message.senderName || message.senderEmail}`,
+    body: message.body.slice(0, 140),
+    data: { interestId: message.interestId, messageId: message._id },
+  });
+}
+
+export function notifyCropRemoved(crop) {
+  const reason = crop.removalReason;
+
+  return notify({
+    recipientEmail: crop.owner?.ownerEmail,
+    type: "crop.moderated",
+    title: "Listing removed",
+    body:
+      `Your listing "${crop.name}" was removed by an admin` +
+      (reason ? `: ${reason}` : ""),
+    data: { cropId: crop._id, status: "removed" },
+  });
+}
+
+export function notifyCropModerated(crop) {
+  const reason = crop.moderation?.reason;
+
+  return notify({
+    recipientEmail: crop.owner?.ownerEmail,
+    type: "crop.moderated",
+    title: `Listing ${crop.status}`,
+    body:
+      `Your listing "${crop.name}" was ${crop.status}` +
+      (reason ? `: ${reason}` : ""),
+    data: { cropId: crop._id, status: crop.status },
+  });
+}
@@ -0,0 +1,135 @@
+import { historyEntry } from "./interestTransitions.js";
+
+// ==================== ORDER STATE MACHINE ====================
+//
+// An order is created when an interest is accepted:
+//
+//   confirmed  ──dispatch (owner)─────────────▶ dispatched
+//   dispatched ──deliver (owner or buyer)─────▶ delivered
+//   delivered  ──complete (buyer)─────────────▶ completed
+//   dispatched/delivered ──dispute (buyer)────▶ disputed
+//   disputed   ──complete or cancel (admin)───▶ completed / cancelled
+//   confirmed  ──cancel (owner or buyer)──────▶ cancelled
+//
+// For pickup orders "dispatched" means ready for collection. Completing or
+// cancelling an order also completes or releases its interest, which is
+// where the reserved stock is given back.
+
+export const ORDER_STATUSES = [
+  "confirmed",
+  "dispatched",
+  "delivered",
+  "completed",
+  "disputed",
+  "cancelled",
+];
+
+export const FULFILMENT_METHODS = ["pickup", "delivery"];
+
+// Statuses in which an order can still change
+export const OPEN_ORDER_STATUSES = [
+  "confirmed",
+  "dispatched",
+  "delivered",
+  "disputed",
+];
+
+// from -> to -> actors allowed to make the move
+const TRANSITIONS = {
+  confirmed: {
+    dispatched: ["owner"],
+    cancelled: ["owner", "buyer"],
+  },
+  dispatched: {
+    delivered: ["owner", "buyer"],
+    disputed: ["buyer"],
+  },
+  delivered: {
+    completed: ["buyer"],
+    disputed: ["buyer"],
+  },
+  disputed: {
+    completed: ["admin"],
+    cancelled: ["admin"],
+  },
+  completed: {},
+  cancelled: {},
+};
+
+// Returns the part a user plays in an order: "owner", "buyer", "admin" or null
+export function getOrderActor(order, user) {
+  if (order.ownerEmail === user.email) return "owner";
+  if (order.buyerEmail === user.email) return "buyer";
+  if (user.role === "admin") return "admin";
+  return null;
+}
+
+// Checks whether `actor` may move an order from `from` to `to`.
+// Returns { allowed: true } or { allowed: false, code, message }.
+export function checkOrderTransition(from, to, actor) {
+  if (from === to) {
+    return {
+      allowed: false,
+      code: 400,
+      message: `Order is already ${to}`,
+    };
+  }
+
+  const allowedActors = TRANSITIONS[from]?.[to];
+
+  if (!allowedActors) {
+    return {
+      allowed: false,
+      code: 400,
+      message: `Cannot change order from '${from}' to '${to}'`,
+    };
+  }
+
+  if (!allowedActors.includes(actor)) {
+    return {
+      allowed: false,
+      code: 403,
+      message: `Unauthorized: Only the ${allowedActors.join(" or ")} can mark this order as ${to}`,
+    };
+  }
+
+  return { allowed: true };
+}
+
+// Interest status that matches a completed or cancelled order. An owner
+// backing out rejects the interest; anyone else cancels it.
+export function interestStatusForOrder(status, actor) {
+  if (status === "completed") return "completed";
+  return actor === "owner" ? "rejected" : "cancelled";
+}
+
+// The order written when `interest` is accepted on `crop` at `agreement`
+export function buildOrder({
+  interest,
+  crop,
+  agreement,
+  fulfilment,
+  actor,
+  actorEmail,
+}) {
+  return {
+    interestId: interest._id,
+    cropId: interest.cropId,
+    ownerEmail: interest.ownerEmail,
+    buyerEmail: interest.userEmail,
+    buyerName: interest.userName,
+    crop: {
+      name: crop?.name,
+      unit: crop?.unit,
+      image: crop?.image,
+    },
+    pricePerUnit: agreement.pricePerUnit,
+    quantity: agreement.quantity,
+    total: agreement.total,
+    fulfilment,
+    status: "confirmed",
+    statusHistory: [historyEntry(null, "confirmed", actor, actorEmail)],
+    createdAt: agreement.agreedAt,
+    updatedAt: agreement.agreedAt,
+  };
+}
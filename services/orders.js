@@ -0,0 +1,105 @@
+import { ObjectId } from "mongodb";
+import { interestsCollection, ordersCollection } from "../config/db.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  refusedTransitionError,
+} from "../errors/appErrors.js";
+import { historyEntry } from "./interestTransitions.js";
+import { applyStatusTransition } from "./interests.js";
+import { notifyInterestStatus } from "./notifications.js";
+import { emailInterestStatus } from "./emails.js";
+import {
+  getOrderActor,
+  checkOrderTransition,
+  interestStatusForOrder,
+} from "./orderTransitions.js";
+
+// Filter for the orders `user` took part in, optionally only as buyer or owner
+export function participantFilter(user, as) {
+  if (as === "buyer") return { buyerEmail: user.email };
+  if (as === "owner") return { ownerEmail: user.email };
+  return { $or: [{ buyerEmail: user.email }, { ownerEmail: user.email }] };
+}
+
+// Loads an order for its buyer, its owner or an admin.
+// Returns { order, actor }.
+export async function findOrderFor(orderId, user) {
+  if (!ObjectId.isValid(orderId)) {
+    throw new BadRequestError("Invalid order ID");
+  }
+
+  const order = await ordersCollection.findOne({ _id: new ObjectId(orderId) });
+
+  if (!order) {
+    throw new NotFoundError("Order not found");
+  }
+
+  const actor = getOrderActor(order, user);
+
+  if (!actor) {
+    throw new ForbiddenError("Unauthorized: You are not part of this order");
+  }
+
+  return { order, actor };
+}
+
+// Moves an order along its lifecycle. Completing or cancelling goes through
+// the interest transition, so the interest, the reserved stock and the order
+// change together in one transaction.
+//
+// Returns the updated order.
+export async function advanceOrder({ orderId, user, status, note }) {
+  const { order, actor } = await findOrderFor(orderId, user);
+  const transition = checkOrderTransition(order.status, status, actor);
+
+  if (!transition.allowed) {
+    throw refusedTransitionError(transition);
+  }
+
+  if (status === "completed" || status === "cancelled") {
+    const interest = await interestsCollection.findOne({
+      _id: order.interestId,
+    });
+
+    if (interest?.status !== "accepted") {
+      throw new ConflictError(
+        "The interest behind this order is no longer accepted",
+        { data: { interestStatus: interest?.status } }
+      );
+    }
+
+    const interestStatus = interestStatusForOrder(status, actor);
+    await applyStatusTransition({
+      interest,
+      status: interestStatus,
+      actor,
+      actorEmail: user.email,
+      note,
+    });
+
+    await notifyInterestStatus(interest, interestStatus, actor, order.crop);
+    await emailInterestStatus(interest, interestStatus, actor, order.crop);
+  } else {
+    const result = await ordersCollection.updateOne(
+      { _id: order._id, status: order.status },
+      {
+        $set: { status, updatedAt: new Date() },
+        $push: {
+          statusHistory: {
+            ...historyEntry(order.status, status, actor, user.email),
+            ...(note ? { note } : {}),
+          },
+        },
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new ConflictError("Order was changed by another request");
+    }
+  }
+
+  return ordersCollection.findOne({ _id: order._id });
+}
@@ -0,0 +1,102 @@
+import { rateLimitsCollection } from "../config/db.js";
+
+// ==================== RATE LIMIT STORES ====================
+//
+// A store is { name, hit(key, windowMs) } where `hit` counts one request for
+// `key` in the current fixed window and resolves to { count, resetAt }.
+// RATE_LIMIT_STORE picks one:
+//
+//   memory - counters in this process (the default; one server only)
+//   mongo  - counters in the `rate_limits` collection, shared by every
+//            instance (use this on Vercel or behind a load balancer)
+
+export const RATE_LIMIT_STORES = ["memory", "mongo"];
+
+// Windows are aligned to the epoch, so every instance agrees on them
+function currentWindow(windowMs) {
+  const start = Math.floor(Date.now() / windowMs) * windowMs;
+  return { start, resetAt: new Date(start + windowMs) };
+}
+
+function memoryStore() {
+  const counters = new Map();
+
+  // Expired counters are dropped once a minute
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt.getTime() <= now) counters.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: "memory",
+    async hit(key, windowMs) {
+      const { start, resetAt } = currentWindow(windowMs);
+      const id = `${key}:${start}`;
+      const counter = counters.get(id) || { count: 0, resetAt };
+
+      counter.count += 1;
+      counters.set(id, counter);
+
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+  };
+}
+
+// One document per key and window; a TTL index removes it once the window
+// is over
+function mongoStore() {
+  const increment = (id, resetAt) =>
+    rateLimitsCollection.findOneAndUpdate(
+      { _id: id },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+      { upsert: true, returnDocument: "after" }
+    );
+
+  return {
+    name: "mongo",
+    async hit(key, windowMs) {
+      const { start, resetAt } = currentWindow(windowMs);
+      const id = `${key}:${start}`;
+      let counter;
+
+      try {
+        counter = await increment(id, resetAt);
+      } catch (error) {
+        // Two parallel upserts of a new window: the loser retries as an update
+        if (error.code !== 11000) throw error;
+        counter = await increment(id, resetAt);
+      }
+
+      return { count: counter.count, resetAt };
+    },
+  };
+}
+
+const FACTORIES = {
+  memory: memoryStore,
+  mongo: mongoStore,
+};
+
+export const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+
+let store;
+
+// The configured store, created on first use
+export function getRateLimitStore() {
+  if (!store) {
+    const factory = FACTORIES[RATE_LIMIT_STORE];
+
+    if (!factory) {
+      throw new Error(
+        `Unknown RATE_LIMIT_STORE '${RATE_LIMIT_STORE}'. Use one of: ${RATE_LIMIT_STORES.join(", ")}`
+      );
+    }
+
+    store = factory();
+  }
+
+  return store;
+}
@@ -0,0 +1,39 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// ==================== REQUEST CONTEXT ====================
+//
+// The request being handled, available anywhere in its async call chain
+// without passing `req` around: the logger tags lines with its id and the
+// audit log reads its user and route. Code running outside a request
+// (timers, scripts) sees null.
+
+const storage = new AsyncLocalStorage();
+
+// Runs `callback` (the rest of the middleware chain) in `req`'s context
+export function runWithRequest(req, callback) {
+  return storage.run({ req }, callback);
+}
+
+export function currentRequest() {
+  return storage.getStore()?.req ?? null;
+}
+
+// The matched route as a pattern, e.g. "/api/crops/:id/images/:imageId".
+// Routers mounted on a path with parameters see the filled-in path as their
+// baseUrl, so parameter values are put back as their names. Requests that
+// matched no route return null.
+export function routePattern(req) {
+  if (!req.route) {
+    return null;
+  }
+
+  let baseUrl = req.baseUrl;
+  for (const [name, value] of Object.entries(req.params || {})) {
+    baseUrl = baseUrl
+      .split("/")
+      .map((segment) => (segment === value ? `:${name}` : segment))
+      .join("/");
+  }
+
+  return `${baseUrl}${req.route.path}`;
+}
@@ -0,0 +1,110 @@
+import { ObjectId } from "mongodb";
+import {
+  interestsCollection,
+  reviewsCollection,
+  usersCollection,
+} from "../config/db.js";
+import {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} from "../errors/appErrors.js";
+import { getInterestActor } from "./interestTransitions.js";
+
+// ==================== REVIEWS ====================
+//
+// Buyer and crop owner can each review the other once per deal. A deal is an
+// interest that was accepted (and possibly completed since).
+
+const REVIEWABLE_STATUSES = ["accepted", "completed"];
+
+// Recomputes a user's rating summary from their reviews and stores it on the
+// user document, so profile reads stay a single lookup
+export async function refreshUserRating(email) {
+  const [summary] = await reviewsCollection
+    .aggregate([
+      { $match: { revieweeEmail: email } },
+      {
+        $group: {
+          _id: null,
+          average: { $avg: "$rating" },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+
+  const rating = {
+    average: summary ? Math.round(summary.average * 10) / 10 : null,
+    count: summary?.count || 0,
+  };
+
+  await usersCollection.updateOne({ email }, { $set: { rating } });
+
+  return rating;
+}
+
+// Returns { review, rating } with the reviewee's new rating summary
+export async function createReview({ interestId, reviewer, rating, text }) {
+  if (!ObjectId.isValid(interestId)) {
+    throw new BadRequestError("Invalid interest ID");
+  }
+
+  const interest = await interestsCollection.findOne({
+    _id: new ObjectId(interestId),
+  });
+
+  if (!interest) {
+    throw new NotFoundError("Interest not found");
+  }
+
+  const role = getInterestActor(interest, reviewer.email);
+
+  if (!role) {
+    throw new ForbiddenError(
+      "Unauthorized: Only the buyer and the crop owner can review this deal"
+    );
+  }
+
+  if (!REVIEWABLE_STATUSES.includes(interest.status)) {
+    throw new BadRequestError("Only accepted deals can be reviewed");
+  }
+
+  const revieweeEmail =
+    role === "owner" ? interest.userEmail : interest.ownerEmail;
+
+  // Owners could once send interests on their own crops; such a deal must
+  // not let them rate themselves
+  if (revieweeEmail === reviewer.email) {
+    throw new BadRequestError("You cannot review yourself");
+  }
+
+  const now = new Date();
+  const review = {
+    interestId: interest._id,
+    cropId: interest.cropId,
+    reviewerEmail: reviewer.email,
+    reviewerName: reviewer.name || "",
+    reviewerRole: role,
+    revieweeEmail,
+    rating,
+    text,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    const result = await reviewsCollection.insertOne(review);
+    review._id = result.insertedId;
+  } catch (error) {
+    // Unique index on (interestId, reviewerEmail)
+    if (error.code === 11000) {
+      throw new BadRequestError("You have already reviewed this deal");
+    }
+    throw error;
+  }
+
+  const revieweeRating = await refreshUserRating(review.revieweeEmail);
+
+  return { review, rating: revieweeRating };
+}
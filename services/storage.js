@@ -0,0 +1,136 @@
+import { mkdir, writeFile, rm } from "node:fs/promises";
+import path from "node:path";
+import {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+
+// ==================== FILE STORAGE ====================
+//
+// A storage adapter is { name, put(key, body, contentType), delete(key) }.
+// `put` resolves to the public URL of the stored file; `delete` ignores keys
+// that do not exist. STORAGE_DRIVER picks one:
+//
+//   local - files under UPLOAD_DIR, served by this server at /uploads
+//   s3    - any S3-compatible bucket (AWS S3, Cloudflare R2, MinIO...)
+
+export const STORAGE_DRIVERS = ["local", "s3"];
+
+export const UPLOAD_DIR = process.env.UPLOAD_DIR || "uploads";
+
+// Keys are generated by the server, but never let one escape the folder
+function safeKey(key) {
+  const normalized = path.posix.normalize(key);
+
+  if (normalized.startsWith("..") || path.posix.isAbsolute(normalized)) {
+    throw new Error(`Invalid storage key '${key}'`);
+  }
+
+  return normalized;
+}
+
+function localDiskStorage() {
+  const baseUrl = (
+    process.env.UPLOAD_PUBLIC_URL ||
+    `http://localhost:${process.env.PORT || 5000}/uploads`
+  ).replace(/\/$/, "");
+
+  return {
+    name: "local",
+    async put(key, body) {
+      const filePath = path.join(UPLOAD_DIR, safeKey(key));
+
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await writeFile(filePath, body);
+
+      return `${baseUrl}/${key}`;
+    },
+    async delete(key) {
+      await rm(path.join(UPLOAD_DIR, safeKey(key)), { force: true });
+    },
+  };
+}
+
+function s3Storage() {
+  const bucket = process.env.S3_BUCKET;
+
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required for the s3 storage driver");
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || "auto",
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+  });
+
+  // Public base URL (bucket website, CDN or r2.dev domain); defaults to the
+  // virtual-hosted AWS URL
+  const baseUrl = (
+    process.env.S3_PUBLIC_URL ||
+    `https://${bucket}.s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com`
+  ).replace(/\/$/, "");
+
+  return {
+    name: "s3",
+    async put(key, body, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: safeKey(key),
+          Body: body,
+          ContentType: contentType,
+          // Keys are never reused, so files can be cached forever
+          CacheControl: "public, max-age=31536000, immutable",
+        })
+      );
+
+      return `${baseUrl}/${key}`;
+    },
+    async delete(key) {
+      await client.send(
+        new DeleteObjectCommand({ Bucket: bucket, Key: safeKey(key) })
+      );
+    },
+  };
+}
+
+const FACTORIES = {
+  local: localDiskStorage,
+  s3: s3Storage,
+};
+
+export const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "local";
+
+let storage;
+
+// The configured adapter, created on first use so a misconfigured driver
+// only fails upload requests
+export function getStorage() {
+  if (!storage) {
+    const factory = FACTORIES[STORAGE_DRIVER];
+
+    if (!factory) {
+      throw new Error(
+        `Unknown STORAGE_DRIVER '${STORAGE_DRIVER}'. Use one of: ${STORAGE_DRIVERS.join(", ")}`
+      );
+    }
+
+    storage = factory();
+  }
+
+  return storage;
+}
+
+// Replace the adapter (e.g. with an in-memory one in tests); without one, the
+// next upload creates the configured adapter again
+export function setStorage(next) {
+  storage = next || null;
+}
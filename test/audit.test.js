@@ -0,0 +1,80 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { diffDocuments } from "../services/audit.js";
+
+describe("diffDocuments", () => {
+  it("lists the fields that changed", () => {
+    assert.deepEqual(
+      diffDocuments(
+        { name: "Rice", quantity: 1000, unit: "kg" },
+        { name: "Rice", quantity: 800, unit: "ton" }
+      ),
+      {
+        quantity: { from: 1000, to: 800 },
+        unit: { from: "kg", to: "ton" },
+      }
+    );
+  });
+
+  it("records every field of a creation and a deletion", () => {
+    assert.deepEqual(diffDocuments(null, { name: "Rice" }), {
+      name: { from: null, to: "Rice" },
+    });
+    assert.deepEqual(diffDocuments({ name: "Rice" }, null), {
+      name: { from: "Rice", to: null },
+    });
+  });
+
+  it("compares dates, ObjectIds and nested values by value", () => {
+    const id = "64b7f0a1c2d3e4f5a6b7c8d9";
+
+    assert.deepEqual(
+      diffDocuments(
+        {
+          cropId: new ObjectId(id),
+          createdAt: new Date(0),
+          owner: { ownerName: "John" },
+        },
+        {
+          cropId: new ObjectId(id),
+          createdAt: new Date(0),
+          owner: { ownerName: "John" },
+        }
+      ),
+      {}
+    );
+
+    assert.deepEqual(
+      diffDocuments(
+        { owner: { ownerName: "John" } },
+        { owner: { ownerName: "Jane" } }
+      ),
+      { owner: { from: { ownerName: "John" }, to: { ownerName: "Jane" } } }
+    );
+  });
+
+  it("treats missing and null as the same", () => {
+    assert.deepEqual(diffDocuments({ reason: null }, {}), {});
+  });
+
+  it("ignores bookkeeping and history fields", () => {
+    assert.deepEqual(
+      diffDocuments(
+        {
+          _id: 1,
+          updatedAt: new Date(0),
+          statusHistory: [],
+          status: "pending",
+        },
+        {
+          _id: 1,
+          updatedAt: new Date(),
+          statusHistory: [{ to: "accepted" }],
+          status: "accepted",
+        }
+      ),
+      { status: { from: "pending", to: "accepted" } }
+    );
+  });
+});
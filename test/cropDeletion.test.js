@@ -0,0 +1,107 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  cropsCollection,
+  interestsCollection,
+  ordersCollection,
+} from "../config/db.js";
+import { restoreCrop, softDeleteCrop } from "../services/cropDeletion.js";
+import { NEEDS_DATABASE, useDatabase } from "./helpers/db.js";
+
+describe("crop deletion", { skip: NEEDS_DATABASE }, () => {
+  useDatabase();
+
+  const ownerEmail = "farmer@example.com";
+
+  const addCrop = async () => {
+    const crop = {
+      name: "Rice",
+      status: "approved",
+      quantity: 100,
+      owner: { ownerEmail },
+      createdAt: new Date(),
+    };
+    crop._id = (await cropsCollection.insertOne(crop)).insertedId;
+    return crop;
+  };
+
+  const addInterest = (crop, status) =>
+    interestsCollection.insertOne({
+      cropId: crop._id,
+      ownerEmail,
+      userEmail: `${status}@example.com`,
+      quantity: 10,
+      status,
+      statusHistory: [],
+      createdAt: new Date(),
+    });
+
+  it("withdraws pending interests and puts them back on restore", async () => {
+    const crop = await addCrop();
+    await addInterest(crop, "pending");
+    await addInterest(crop, "rejected");
+
+    const deleted = await softDeleteCrop({
+      cropId: crop._id.toString(),
+      ownerEmail,
+    });
+
+    assert.equal(deleted.withdrawn, 1);
+    assert.ok(deleted.crop.deletedAt);
+    assert.deepEqual(
+      (await interestsCollection.find().sort({ userEmail: 1 }).toArray()).map(
+        (interest) => interest.status
+      ),
+      ["withdrawn", "rejected"]
+    );
+
+    const restored = await restoreCrop({
+      cropId: crop._id.toString(),
+      ownerEmail,
+    });
+
+    assert.equal(restored.reinstated, 1);
+    assert.equal(restored.crop.deletedAt, undefined);
+    assert.equal(
+      await interestsCollection.countDocuments({ status: "pending" }),
+      1
+    );
+  });
+
+  it("refuses a crop with open orders with 409 and changes nothing", async () => {
+    const crop = await addCrop();
+    await addInterest(crop, "pending");
+    await ordersCollection.insertOne({
+      cropId: crop._id,
+      status: "confirmed",
+      createdAt: new Date(),
+    });
+
+    await assert.rejects(
+      softDeleteCrop({ cropId: crop._id.toString(), ownerEmail }),
+      {
+        status: 409,
+        code: "CONFLICT",
+        data: { openOrders: 1 },
+      }
+    );
+
+    assert.equal((await cropsCollection.findOne()).deletedAt, undefined);
+    assert.equal(
+      await interestsCollection.countDocuments({ status: "pending" }),
+      1
+    );
+  });
+
+  it("refuses someone else's crop", async () => {
+    const crop = await addCrop();
+
+    await assert.rejects(
+      softDeleteCrop({
+        cropId: crop._id.toString(),
+        ownerEmail: "other@example.com",
+      }),
+      { status: 403 }
+    );
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  canViewCrop,
+  checkCropTransition,
+  resubmissionEntry,
+} from "../services/cropModeration.js";
+
+describe("crop moderation", () => {
+  describe("checkCropTransition", () => {
+    it("lets admins approve and reject", () => {
+      for (const [from, to] of [
+        ["pending", "approved"],
+        ["pending", "rejected"],
+        ["approved", "rejected"],
+        ["rejected", "approved"],
+      ]) {
+        assert.deepEqual(checkCropTransition(from, to, "admin"), {
+          allowed: true,
+        });
+      }
+    });
+
+    it("lets owners resubmit, archive and unarchive", () => {
+      for (const [from, to] of [
+        ["approved", "pending"],
+        ["rejected", "pending"],
+        ["approved", "archived"],
+        ["archived", "pending"],
+      ]) {
+        assert.deepEqual(checkCropTransition(from, to, "owner"), {
+          allowed: true,
+        });
+      }
+    });
+
+    it("treats a missing status as pending", () => {
+      assert.deepEqual(checkCropTransition(undefined, "approved", "admin"), {
+        allowed: true,
+      });
+    });
+
+    it("refuses the wrong actor with 403", () => {
+      const result = checkCropTransition("pending", "approved", "owner");
+
+      assert.equal(result.allowed, false);
+      assert.equal(result.code, 403);
+      assert.match(result.message, /Only the admin/);
+      assert.equal(
+        checkCropTransition("approved", "archived", "admin").code,
+        403
+      );
+    });
+
+    it("refuses moves the lifecycle does not have with 400", () => {
+      assert.deepEqual(checkCropTransition("archived", "approved", "admin"), {
+        allowed: false,
+        code: 400,
+        message: "Cannot change crop from 'archived' to 'approved'",
+      });
+    });
+
+    it("refuses a move to the current status", () => {
+      assert.deepEqual(checkCropTransition("approved", "approved", "admin"), {
+        allowed: false,
+        code: 400,
+        message: "Crop is already approved",
+      });
+    });
+  });
+
+  describe("resubmissionEntry", () => {
+    const crop = (status) => ({
+      status,
+      name: "Tomato",
+      pricePerUnit: 55,
+      quantity: 400,
+    });
+
+    it("resubmits an approved crop when listing content changes", () => {
+      const entry = resubmissionEntry(
+        crop("approved"),
+        { pricePerUnit: 60 },
+        "farmer@example.com"
+      );
+
+      assert.equal(entry.from, "approved");
+      assert.equal(entry.to, "pending");
+      assert.equal(entry.actor, "owner");
+      assert.equal(entry.actorEmail, "farmer@example.com");
+    });
+
+    it("resubmits an approved crop when photos are added", () => {
+      const entry = resubmissionEntry(
+        crop("approved"),
+        { images: [{ url: "https://example.com/a.webp" }] },
+        "farmer@example.com"
+      );
+
+      assert.equal(entry.to, "pending");
+    });
+
+    it("keeps an approved crop approved for stock and unchanged values", () => {
+      assert.equal(
+        resubmissionEntry(
+          crop("approved"),
+          { quantity: 0, name: "Tomato", pricePerUnit: 55 },
+          "farmer@example.com"
+        ),
+        null
+      );
+    });
+
+    it("resubmits a rejected crop on any edit", () => {
+      const entry = resubmissionEntry(
+        crop("rejected"),
+        { quantity: 300 },
+        "farmer@example.com"
+      );
+
+      assert.equal(entry.from, "rejected");
+      assert.equal(entry.to, "pending");
+    });
+
+    it("leaves pending and archived crops alone", () => {
+      for (const status of ["pending", "archived"]) {
+        assert.equal(
+          resubmissionEntry(crop(status), { name: "Potato" }, "a@example.com"),
+          null
+        );
+      }
+    });
+  });
+
+  describe("canViewCrop", () => {
+    const owner = { email: "farmer@example.com", role: "farmer" };
+
+    it("shows approved crops to everyone", () => {
+      assert.equal(canViewCrop({ status: "approved" }, undefined), true);
+    });
+
+    it("shows other crops only to their owner and admins", () => {
+      const crop = { status: "pending", owner: { ownerEmail: owner.email } };
+
+      assert.equal(canViewCrop(crop, undefined), false);
+      assert.equal(
+        canViewCrop(crop, { email: "buyer@example.com", role: "user" }),
+        false
+      );
+      assert.equal(canViewCrop(crop, owner), true);
+      assert.equal(
+        canViewCrop(crop, { email: "admin@example.com", role: "admin" }),
+        true
+      );
+    });
+
+    it("hides deleted crops from the public", () => {
+      assert.equal(
+        canViewCrop({ status: "approved", deletedAt: new Date() }, undefined),
+        false
+      );
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildCropListQuery,
+  buildPageMeta,
+  escapeRegex,
+  parseNear,
+} from "../services/crops.js";
+
+describe("crop listing", () => {
+  describe("buildCropListQuery", () => {
+    it("lists only approved crops that are not deleted, newest first", () => {
+      assert.deepEqual(buildCropListQuery({}), {
+        filter: { $and: [{ status: "approved" }, { deletedAt: null }] },
+        sort: { createdAt: -1, _id: -1 },
+        projection: undefined,
+        sortBy: "date",
+        order: "desc",
+      });
+    });
+
+    it("adds the type, location, price and quantity filters", () => {
+      const { filter } = buildCropListQuery({
+        type: "Vegetable",
+        location: "Cox's Bazar (south)",
+        minPrice: 10,
+        maxPrice: 50,
+        minQuantity: 100,
+      });
+
+      assert.deepEqual(filter.$and.slice(2), [
+        { type: "Vegetable" },
+        {
+          location: { $regex: "Cox's Bazar \\(south\\)", $options: "i" },
+        },
+        { pricePerUnit: { $gte: 10, $lte: 50 } },
+        { quantity: { $gte: 100 } },
+      ]);
+    });
+
+    it("takes one price bound without the other", () => {
+      const { filter } = buildCropListQuery({ maxPrice: 50 });
+
+      assert.deepEqual(filter.$and[2], { pricePerUnit: { $lte: 50 } });
+    });
+
+    it("searches the text index and sorts by relevance", () => {
+      const query = buildCropListQuery({ search: "rice" });
+
+      assert.deepEqual(query.filter.$text, { $search: "rice" });
+      assert.deepEqual(query.projection, { score: { $meta: "textScore" } });
+      assert.deepEqual(query.sort, { score: { $meta: "textScore" }, _id: -1 });
+      assert.equal(query.sortBy, "relevance");
+      assert.equal(query.order, "desc");
+    });
+
+    it("sorts a search by another field when asked", () => {
+      const query = buildCropListQuery({
+        search: "rice",
+        sortBy: "price",
+        order: "asc",
+      });
+
+      assert.deepEqual(query.sort, { pricePerUnit: 1, _id: 1 });
+      assert.equal(query.sortBy, "price");
+      assert.equal(query.order, "asc");
+    });
+
+    it("falls back to date for relevance without a search", () => {
+      const query = buildCropListQuery({ sortBy: "relevance" });
+
+      assert.equal(query.sortBy, "date");
+      assert.deepEqual(query.sort, { createdAt: -1, _id: -1 });
+    });
+  });
+
+  describe("near-me queries", () => {
+    it("parses near=lat,lng", () => {
+      assert.deepEqual(parseNear("24.85, 89.37"), { lat: 24.85, lng: 89.37 });
+      assert.deepEqual(parseNear("-33.9,151.2"), { lat: -33.9, lng: 151.2 });
+    });
+
+    it("refuses points out of range", () => {
+      assert.equal(parseNear("91,89"), null);
+      assert.equal(parseNear("24,-181"), null);
+    });
+
+    it("sorts by distance, nearest first, when near is given", () => {
+      const query = buildCropListQuery({ near: "24.85,89.37", order: "desc" });
+
+      assert.equal(query.sortBy, "distance");
+      assert.equal(query.order, "asc");
+      assert.deepEqual(query.sort, { distanceKm: 1, _id: 1 });
+    });
+
+    it("falls back to date for distance without near", () => {
+      assert.equal(buildCropListQuery({ sortBy: "distance" }).sortBy, "date");
+    });
+  });
+
+  describe("buildPageMeta", () => {
+    it("counts pages and says whether there are more", () => {
+      assert.deepEqual(
+        buildPageMeta({ page: 2, limit: 20, total: 45, sortBy: "date" }),
+        {
+          page: 2,
+          limit: 20,
+          total: 45,
+          totalPages: 3,
+          hasNextPage: true,
+          hasPrevPage: true,
+          sortBy: "date",
+        }
+      );
+      assert.equal(
+        buildPageMeta({ page: 3, limit: 20, total: 45 }).hasNextPage,
+        false
+      );
+    });
+  });
+
+  it("escapes user input for regular expressions", () => {
+    assert.equal(escapeRegex("a.b*c"), "a\\.b\\*c");
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { EMAIL_TEMPLATES, renderEmail } from "../services/emailTemplates.js";
+
+const deal = {
+  ownerName: "John Farmer",
+  buyerName: "Rahim",
+  cropName: "Rice",
+  quantity: 100,
+  unit: "kg",
+  pricePerUnit: 48,
+  total: 4800,
+};
+
+describe("email templates", () => {
+  it("renders a subject, text and HTML for every template", () => {
+    for (const template of EMAIL_TEMPLATES) {
+      const email = renderEmail(template, { ...deal, cropId: "abc" });
+
+      assert.ok(email.subject, template);
+      assert.match(email.text, /— KrishiLink$/, template);
+      assert.match(email.html, /^<!doctype html>/, template);
+    }
+  });
+
+  it("tells the buyer that the owner accepted their interest", () => {
+    const email = renderEmail("interest.accepted", deal);
+
+    assert.equal(email.subject, "Your interest in Rice was accepted");
+    assert.match(email.text, /^Hi Rahim,/);
+    assert.match(email.text, /The owner accepted your interest: 100 kg/);
+  });
+
+  it("tells the owner that the buyer accepted their counter-offer", () => {
+    const email = renderEmail("offer.accepted", deal);
+
+    assert.equal(email.subject, "Rahim accepted your offer for Rice");
+    assert.match(email.text, /^Hi John Farmer,/);
+    assert.match(email.text, /Rahim accepted your counter-offer: 100 kg/);
+    assert.match(email.text, /\(total 4800\)/);
+  });
+
+  it("escapes user input in the HTML body", () => {
+    const email = renderEmail("interest.created", {
+      ...deal,
+      message: '<script>alert("hi")</script>',
+    });
+
+    assert.doesNotMatch(email.html, /<script>/);
+    assert.match(email.html, /&lt;script&gt;alert\(&quot;hi&quot;\)/);
+    assert.match(email.text, /<script>/);
+  });
+
+  it("greets readers without a name", () => {
+    const email = renderEmail("interest.rejected", { cropName: "Rice" });
+
+    assert.match(email.text, /^Hi there,/);
+  });
+
+  it("refuses an unknown template", () => {
+    assert.throws(
+      () => renderEmail("interest.unknown", {}),
+      /Unknown email template 'interest.unknown'/
+    );
+  });
+});
@@ -0,0 +1,177 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { emailOutboxCollection } from "../config/db.js";
+import {
+  emailInterestStatus,
+  processOutbox,
+  setMailTransport,
+} from "../services/emails.js";
+import { NEEDS_DATABASE, useDatabase } from "./helpers/db.js";
+
+const MINUTE_MS = 60 * 1000;
+
+const interest = {
+  _id: new ObjectId(),
+  userEmail: "buyer@example.com",
+  userName: "Rahim",
+  ownerEmail: "farmer@example.com",
+};
+const crop = { name: "Rice", unit: "kg", owner: { ownerName: "John Farmer" } };
+const agreement = { pricePerUnit: 48, quantity: 100, total: 4800 };
+
+describe("emails", { skip: NEEDS_DATABASE }, () => {
+  let sent;
+  let failing;
+
+  useDatabase();
+
+  before(() => {
+    setMailTransport({
+      name: "test",
+      async send(message) {
+        if (failing) throw new Error("SMTP is down");
+        sent.push(message);
+        return { messageId: `<${sent.length}@test>` };
+      },
+    });
+  });
+
+  after(() => {
+    setMailTransport(null);
+  });
+
+  // An outbox entry that is due now, after `attempts` failed sends
+  const queueDue = (attempts) =>
+    emailOutboxCollection.insertOne({
+      to: "buyer@example.com",
+      template: "interest.rejected",
+      subject: "Your interest in Rice was declined",
+      text: "",
+      html: "",
+      status: "pending",
+      attempts,
+      nextAttemptAt: new Date(),
+      createdAt: new Date(),
+    });
+
+  describe("interest status emails", () => {
+    it("emails the buyer when the owner accepts", async () => {
+      const email = await emailInterestStatus(
+        interest,
+        "accepted",
+        "owner",
+        crop,
+        agreement
+      );
+
+      assert.equal(email.to, "buyer@example.com");
+      assert.equal(email.template, "interest.accepted");
+    });
+
+    it("emails the owner when the buyer accepts a counter-offer", async () => {
+      const email = await emailInterestStatus(
+        interest,
+        "accepted",
+        "buyer",
+        crop,
+        agreement
+      );
+
+      assert.equal(email.to, "farmer@example.com");
+      assert.equal(email.template, "offer.accepted");
+      assert.match(email.text, /Rahim accepted your counter-offer/);
+    });
+
+    it("emails the buyer about owner and automatic rejections", async () => {
+      for (const actor of ["owner", "system"]) {
+        const email = await emailInterestStatus(
+          interest,
+          "rejected",
+          actor,
+          crop
+        );
+
+        assert.equal(email.to, "buyer@example.com");
+        assert.equal(email.template, "interest.rejected");
+      }
+    });
+
+    it("does not email other changes", async () => {
+      assert.equal(
+        await emailInterestStatus(interest, "cancelled", "buyer", crop),
+        null
+      );
+    });
+  });
+
+  describe("outbox", () => {
+    it("sends due emails", async () => {
+      sent = [];
+      failing = false;
+      const { insertedId } = await queueDue(0);
+
+      assert.deepEqual(await processOutbox(), {
+        sent: 1,
+        retrying: 0,
+        failed: 0,
+      });
+
+      const email = await emailOutboxCollection.findOne({ _id: insertedId });
+      assert.equal(email.status, "sent");
+      assert.equal(email.attempts, 1);
+      assert.equal(email.transport, "test");
+      assert.equal(sent[0].to, "buyer@example.com");
+    });
+
+    it("retries a failed send with exponential backoff", async () => {
+      failing = true;
+      const first = await queueDue(0);
+      const third = await queueDue(2);
+      const startedAt = Date.now();
+
+      assert.deepEqual(await processOutbox(), {
+        sent: 0,
+        retrying: 2,
+        failed: 0,
+      });
+
+      const waits = await Promise.all(
+        [first, third].map(async ({ insertedId }) => {
+          const email = await emailOutboxCollection.findOne({
+            _id: insertedId,
+          });
+          assert.equal(email.status, "pending");
+          assert.equal(email.lastError, "SMTP is down");
+          return email.nextAttemptAt.getTime() - startedAt;
+        })
+      );
+
+      // 1 minute after the first attempt, 4 after the third
+      assert.ok(Math.abs(waits[0] - MINUTE_MS) < 5000);
+      assert.ok(Math.abs(waits[1] - 4 * MINUTE_MS) < 5000);
+
+      // Not due again until then
+      assert.deepEqual(await processOutbox(), {
+        sent: 0,
+        retrying: 0,
+        failed: 0,
+      });
+    });
+
+    it("marks an email failed after the last attempt", async () => {
+      failing = true;
+      const { insertedId } = await queueDue(4);
+
+      assert.deepEqual(await processOutbox(), {
+        sent: 0,
+        retrying: 0,
+        failed: 1,
+      });
+
+      const email = await emailOutboxCollection.findOne({ _id: insertedId });
+      assert.equal(email.status, "failed");
+      assert.equal(email.nextAttemptAt, null);
+    });
+  });
+});
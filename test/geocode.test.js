@@ -0,0 +1,68 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { geocodeLocation, resolveCropGeo } from "../services/geocode.js";
+
+describe("geocoding", () => {
+  describe("geocodeLocation", () => {
+    it("resolves a district", () => {
+      assert.deepEqual(geocodeLocation("Bogura"), {
+        lat: 24.8465,
+        lng: 89.3773,
+        name: "Bogura",
+        precision: "district",
+      });
+    });
+
+    it("matches old spellings, case and punctuation", () => {
+      assert.equal(geocodeLocation("BOGRA").name, "Bogura");
+      assert.equal(geocodeLocation("near coxs bazar.").name, "Cox's Bazar");
+      assert.equal(geocodeLocation("Chittagong port").name, "Chattogram");
+    });
+
+    it("prefers an upazila over its district", () => {
+      assert.deepEqual(geocodeLocation("Shibganj, Bogura"), {
+        lat: 25.0167,
+        lng: 89.3167,
+        name: "Shibganj, Bogura",
+        precision: "upazila",
+      });
+    });
+
+    it("picks the upazila in the district that is mentioned", () => {
+      assert.equal(
+        geocodeLocation("Shibganj, Chapai Nawabganj").name,
+        "Shibganj, Chapai Nawabganj"
+      );
+    });
+
+    it("does not match names inside other words", () => {
+      assert.equal(geocodeLocation("Boguratown"), null);
+    });
+
+    it("returns null for unknown or empty labels", () => {
+      assert.equal(geocodeLocation("Springfield"), null);
+      assert.equal(geocodeLocation("  "), null);
+      assert.equal(geocodeLocation(undefined), null);
+    });
+  });
+
+  describe("resolveCropGeo", () => {
+    it("uses coordinates from the client first", () => {
+      assert.deepEqual(resolveCropGeo({ lat: 24, lng: 90 }, "Bogura"), {
+        geo: { type: "Point", coordinates: [90, 24] },
+        geoSource: "user",
+      });
+    });
+
+    it("geocodes the location otherwise", () => {
+      assert.deepEqual(resolveCropGeo(undefined, "Bogura"), {
+        geo: { type: "Point", coordinates: [89.3773, 24.8465] },
+        geoSource: "district",
+      });
+    });
+
+    it("returns null when neither works", () => {
+      assert.equal(resolveCropGeo(undefined, "Springfield"), null);
+    });
+  });
+});
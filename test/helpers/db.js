@@ -0,0 +1,23 @@
+import { after, before, beforeEach } from "node:test";
+import { client, connectDB, db } from "../../config/db.js";
+
+// `skip` option for suites that need MongoDB. They run when TEST_MONGODB_URI
+// points at a replica set (interest and order changes use transactions).
+export const NEEDS_DATABASE = process.env.TEST_MONGODB_URI
+  ? false
+  : "set TEST_MONGODB_URI to a MongoDB replica set to run";
+
+// Connects for the rest of the test file and empties every collection
+// before each test
+export function useDatabase() {
+  before(() => connectDB());
+
+  beforeEach(async () => {
+    const collections = await db.collections();
+    await Promise.all(
+      collections.map((collection) => collection.deleteMany({}))
+    );
+  });
+
+  after(() => client.close());
+}
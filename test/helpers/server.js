@@ -0,0 +1,27 @@
+import express from "express";
+import { errorHandler } from "../../middleware/errorHandler.js";
+
+// An app with JSON bodies and the API's error handler; `mount(app)` adds the
+// routes under test
+export function createApp(mount) {
+  const app = express();
+  app.use(express.json());
+  mount(app);
+  app.use(errorHandler);
+  return app;
+}
+
+// Starts `app` on a free port, passes its base URL to `callback` and stops
+// the server afterwards
+export async function withServer(app, callback) {
+  const server = await new Promise((resolve) => {
+    const started = app.listen(0, "127.0.0.1", () => resolve(started));
+  });
+
+  try {
+    return await callback(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
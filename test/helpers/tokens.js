@@ -0,0 +1,55 @@
+import { after, before } from "node:test";
+import crypto from "node:crypto";
+import {
+  createLocalKeyVerifier,
+  setTokenVerifier,
+} from "../../config/firebase.js";
+
+const AUDIENCE = "krishilink-test";
+
+const keys = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+// A key the verifier does not trust, for forged tokens
+export const otherKeys = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+// An RS256 ID token like Firebase's, signed with `privateKey`
+export function signToken(claims = {}, privateKey = keys.privateKey) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = encode({ alg: "RS256", typ: "JWT" });
+  const payload = encode({
+    sub: "uid-1",
+    aud: AUDIENCE,
+    email: "farmer@example.com",
+    email_verified: true,
+    name: "John Farmer",
+    iat: now,
+    exp: now + 3600,
+    ...claims,
+  });
+  const signature = crypto
+    .sign("RSA-SHA256", Buffer.from(`${header}.${payload}`), privateKey)
+    .toString("base64url");
+
+  return `${header}.${payload}.${signature}`;
+}
+
+// Verifies tokens from signToken for the rest of the test file
+export function useStubVerifier() {
+  before(() => {
+    setTokenVerifier(
+      createLocalKeyVerifier(
+        keys.publicKey.export({ type: "spki", format: "pem" }),
+        { audience: AUDIENCE }
+      )
+    );
+  });
+
+  after(() => {
+    setTokenVerifier(null);
+  });
+}
@@ -0,0 +1,123 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { storeImage, storeImages } from "../services/images.js";
+import { setStorage } from "../services/storage.js";
+
+const jpeg = (width, height) =>
+  sharp({
+    create: { width, height, channels: 3, background: "#3a7d44" },
+  })
+    .jpeg()
+    .toBuffer();
+
+const upload = (buffer, originalname = "crop.jpg") => ({
+  buffer,
+  originalname,
+});
+
+describe("storeImage", () => {
+  let stored;
+
+  before(() => {
+    setStorage({
+      name: "memory",
+      async put(key, body) {
+        stored.set(key, body);
+        return `https://cdn.example.com/${key}`;
+      },
+      async delete(key) {
+        stored.delete(key);
+      },
+    });
+  });
+
+  beforeEach(() => {
+    stored = new Map();
+  });
+
+  after(() => {
+    setStorage(null);
+  });
+
+  it("stores a display image and a thumbnail as WebP", async () => {
+    const { image, error } = await storeImage(
+      upload(await jpeg(2000, 1000)),
+      "crops/1"
+    );
+
+    assert.equal(error, undefined);
+    assert.equal(image.width, 1600);
+    assert.equal(image.height, 800);
+    assert.equal(image.url, `https://cdn.example.com/${image.key}`);
+    assert.deepEqual([...stored.keys()].sort(), [
+      image.thumbnailKey,
+      image.key,
+    ]);
+
+    const thumbnail = await sharp(stored.get(image.thumbnailKey)).metadata();
+    assert.equal(thumbnail.format, "webp");
+    assert.equal(thumbnail.width, 400);
+  });
+
+  it("never enlarges small images", async () => {
+    const { image } = await storeImage(upload(await jpeg(300, 200)), "crops/1");
+
+    assert.equal(image.width, 300);
+    assert.equal(image.height, 200);
+  });
+
+  it("refuses files that are not images", async () => {
+    const { error } = await storeImage(
+      upload(Buffer.from("not an image"), "notes.jpg"),
+      "crops/1"
+    );
+
+    assert.equal(error, "notes.jpg is not a valid image");
+    assert.equal(stored.size, 0);
+  });
+
+  it("refuses other image formats", async () => {
+    const gif = await sharp({
+      create: { width: 10, height: 10, channels: 3, background: "#fff" },
+    })
+      .gif()
+      .toBuffer();
+
+    const { error } = await storeImage(upload(gif, "crop.gif"), "crops/1");
+
+    assert.equal(error, "crop.gif must be a JPEG, PNG or WebP image");
+  });
+
+  it("refuses a truncated image whose header is intact", async () => {
+    const full = await jpeg(800, 600);
+    const truncated = full.subarray(0, Math.floor(full.length / 2));
+
+    const { error } = await storeImage(upload(truncated), "crops/1");
+
+    assert.equal(error, "crop.jpg is not a valid image");
+    assert.equal(stored.size, 0);
+  });
+
+  it("refuses images over the pixel limit", async () => {
+    const huge = await sharp({
+      create: { width: 8000, height: 7000, channels: 3, background: "#000" },
+    })
+      .png()
+      .toBuffer();
+
+    const { error } = await storeImage(upload(huge, "huge.png"), "crops/1");
+
+    assert.equal(error, "huge.png is over 50 megapixels");
+  });
+
+  it("removes the images already stored when a later one is refused", async () => {
+    const result = await storeImages(
+      [upload(await jpeg(100, 100)), upload(Buffer.from("nope"), "bad.png")],
+      "crops/1"
+    );
+
+    assert.deepEqual(result, { error: "bad.png is not a valid image" });
+    assert.equal(stored.size, 0);
+  });
+});
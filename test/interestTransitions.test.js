@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  checkTransition,
+  getInterestActor,
+  getStockDelta,
+} from "../services/interestTransitions.js";
+
+describe("interest state machine", () => {
+  const interest = {
+    ownerEmail: "farmer@example.com",
+    userEmail: "buyer@example.com",
+  };
+
+  it("identifies the owner and the buyer", () => {
+    assert.equal(getInterestActor(interest, "farmer@example.com"), "owner");
+    assert.equal(getInterestActor(interest, "buyer@example.com"), "buyer");
+    assert.equal(getInterestActor(interest, "other@example.com"), null);
+  });
+
+  it("lets the owner accept, reject and complete", () => {
+    assert.deepEqual(checkTransition("pending", "accepted", "owner"), {
+      allowed: true,
+    });
+    assert.deepEqual(checkTransition("pending", "rejected", "owner"), {
+      allowed: true,
+    });
+    assert.deepEqual(checkTransition("accepted", "completed", "owner"), {
+      allowed: true,
+    });
+  });
+
+  it("lets the buyer cancel and accept a counter-offer", () => {
+    assert.deepEqual(checkTransition("pending", "cancelled", "buyer"), {
+      allowed: true,
+    });
+    assert.deepEqual(checkTransition("accepted", "cancelled", "buyer"), {
+      allowed: true,
+    });
+    assert.deepEqual(checkTransition("pending", "accepted", "buyer"), {
+      allowed: true,
+    });
+  });
+
+  it("treats a missing status as pending", () => {
+    assert.deepEqual(checkTransition(undefined, "accepted", "owner"), {
+      allowed: true,
+    });
+  });
+
+  it("refuses the wrong actor with 403", () => {
+    const result = checkTransition("pending", "rejected", "buyer");
+    assert.equal(result.allowed, false);
+    assert.equal(result.code, 403);
+    assert.match(result.message, /Only the owner/);
+
+    assert.equal(checkTransition("accepted", "completed", "buyer").code, 403);
+    assert.equal(checkTransition("pending", "cancelled", "owner").code, 403);
+  });
+
+  it("refuses moves out of final statuses with 400", () => {
+    for (const from of ["rejected", "cancelled", "completed", "withdrawn"]) {
+      const result = checkTransition(from, "accepted", "owner");
+      assert.equal(result.allowed, false);
+      assert.equal(result.code, 400);
+    }
+  });
+
+  it("refuses withdrawing directly", () => {
+    assert.equal(checkTransition("pending", "withdrawn", "owner").code, 400);
+  });
+
+  it("refuses a move to the current status", () => {
+    assert.deepEqual(checkTransition("accepted", "accepted", "owner"), {
+      allowed: false,
+      code: 400,
+      message: "Interest has already been accepted",
+    });
+  });
+
+  it("reserves stock on accept and releases it when an accepted interest closes", () => {
+    assert.equal(getStockDelta("pending", "accepted", 30), -30);
+    assert.equal(getStockDelta("accepted", "rejected", 30), 30);
+    assert.equal(getStockDelta("accepted", "cancelled", 30), 30);
+  });
+
+  it("leaves stock alone otherwise", () => {
+    assert.equal(getStockDelta("accepted", "completed", 30), 0);
+    assert.equal(getStockDelta("pending", "rejected", 30), 0);
+    assert.equal(getStockDelta("pending", "cancelled", 30), 0);
+    assert.equal(getStockDelta("pending", "accepted", 0), 0);
+  });
+});
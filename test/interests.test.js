@@ -0,0 +1,228 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import {
+  cropsCollection,
+  interestsCollection,
+  ordersCollection,
+} from "../config/db.js";
+import { agreementFrom, offerEntry } from "../services/interestTransitions.js";
+import {
+  applyStatusTransition,
+  attachInterests,
+} from "../services/interests.js";
+import { NEEDS_DATABASE, useDatabase } from "./helpers/db.js";
+
+describe("interests", { skip: NEEDS_DATABASE }, () => {
+  useDatabase();
+
+  describe("attachInterests", () => {
+    it("attaches interests without their negotiation", async () => {
+      const crop = { _id: new ObjectId(), name: "Rice" };
+      const offer = offerEntry(50, 100, "buyer", "buyer@example.com");
+      await interestsCollection.insertOne({
+        cropId: crop._id,
+        ownerEmail: "farmer@example.com",
+        userEmail: "buyer@example.com",
+        userName: "Rahim",
+        quantity: 100,
+        message: "Interested",
+        offer,
+        offers: [offer],
+        agreement: { pricePerUnit: 50, quantity: 100, total: 5000 },
+        status: "accepted",
+        statusHistory: [],
+        createdAt: new Date(),
+      });
+
+      await attachInterests(crop);
+
+      assert.equal(crop.interests.length, 1);
+      assert.deepEqual(Object.keys(crop.interests[0]).sort(), [
+        "_id",
+        "createdAt",
+        "cropId",
+        "message",
+        "quantity",
+        "status",
+        "userEmail",
+        "userName",
+      ]);
+    });
+
+    it("gives crops without interests an empty list", async () => {
+      const crops = [{ _id: new ObjectId() }, { _id: new ObjectId() }];
+
+      await attachInterests(crops);
+
+      assert.deepEqual(
+        crops.map((crop) => crop.interests),
+        [[], []]
+      );
+    });
+  });
+
+  describe("applyStatusTransition", () => {
+    const ownerEmail = "farmer@example.com";
+
+    const addCrop = async (quantity) => {
+      const crop = {
+        name: "Rice",
+        unit: "kg",
+        pricePerUnit: 50,
+        quantity,
+        status: "approved",
+        owner: { ownerEmail },
+        createdAt: new Date(),
+      };
+      crop._id = (await cropsCollection.insertOne(crop)).insertedId;
+      return crop;
+    };
+
+    const addInterest = async (crop, userEmail, quantity) => {
+      const offer = offerEntry(48, quantity, "buyer", userEmail);
+      const interest = {
+        cropId: crop._id,
+        ownerEmail,
+        userEmail,
+        userName: "Rahim",
+        quantity,
+        offer,
+        offers: [offer],
+        status: "pending",
+        statusHistory: [],
+        createdAt: new Date(),
+      };
+      interest._id = (await interestsCollection.insertOne(interest)).insertedId;
+      return interest;
+    };
+
+    const accept = (interest, options = {}) =>
+      applyStatusTransition({
+        interest,
+        status: "accepted",
+        actor: "owner",
+        actorEmail: ownerEmail,
+        agreement: agreementFrom(interest.offer),
+        ...options,
+      });
+
+    const stockOf = async (crop) =>
+      (await cropsCollection.findOne({ _id: crop._id })).quantity;
+
+    it("reserves the agreed quantity and creates an order on accept", async () => {
+      const crop = await addCrop(100);
+      const interest = await addInterest(crop, "buyer@example.com", 30);
+
+      const { order, autoRejected } = await accept(interest);
+
+      assert.equal(autoRejected, 0);
+      assert.equal(await stockOf(crop), 70);
+      assert.equal(order.status, "confirmed");
+      assert.equal(order.total, 1440);
+      assert.deepEqual(order.fulfilment, { method: "pickup" });
+      assert.equal(await ordersCollection.countDocuments(), 1);
+
+      const updated = await interestsCollection.findOne({ _id: interest._id });
+      assert.equal(updated.status, "accepted");
+      assert.equal(updated.agreement.total, 1440);
+      assert.equal(updated.statusHistory.at(-1).to, "accepted");
+    });
+
+    it("refuses to oversell with 409 and changes nothing", async () => {
+      const crop = await addCrop(20);
+      const interest = await addInterest(crop, "buyer@example.com", 30);
+
+      await assert.rejects(accept(interest), {
+        status: 409,
+        data: { requested: 30, available: 20 },
+      });
+
+      assert.equal(await stockOf(crop), 20);
+      assert.equal(
+        (await interestsCollection.findOne({ _id: interest._id })).status,
+        "pending"
+      );
+      assert.equal(await ordersCollection.countDocuments(), 0);
+    });
+
+    it("rolls the stock back when the interest changed meanwhile", async () => {
+      const crop = await addCrop(100);
+      const interest = await addInterest(crop, "buyer@example.com", 30);
+      await interestsCollection.updateOne(
+        { _id: interest._id },
+        { $set: { status: "cancelled" } }
+      );
+
+      await assert.rejects(accept(interest), {
+        status: 409,
+        data: { currentStatus: "cancelled" },
+      });
+
+      assert.equal(await stockOf(crop), 100);
+      assert.equal(await ordersCollection.countDocuments(), 0);
+    });
+
+    it("auto-rejects the remaining pending interests once sold out", async () => {
+      const crop = await addCrop(30);
+      const interest = await addInterest(crop, "buyer@example.com", 30);
+      const other = await addInterest(crop, "other@example.com", 10);
+
+      const { autoRejected } = await accept(interest, {
+        autoRejectRemaining: true,
+      });
+
+      assert.equal(autoRejected, 1);
+      const rejected = await interestsCollection.findOne({ _id: other._id });
+      assert.equal(rejected.status, "rejected");
+      assert.equal(rejected.statusHistory.at(-1).actor, "system");
+    });
+
+    it("releases the stock and cancels the order when the buyer cancels", async () => {
+      const crop = await addCrop(100);
+      const interest = await addInterest(crop, "buyer@example.com", 30);
+      const { order } = await accept(interest);
+      const accepted = await interestsCollection.findOne({ _id: interest._id });
+
+      await applyStatusTransition({
+        interest: accepted,
+        status: "cancelled",
+        actor: "buyer",
+        actorEmail: "buyer@example.com",
+        note: "Found another seller",
+      });
+
+      assert.equal(await stockOf(crop), 100);
+      const cancelled = await ordersCollection.findOne({ _id: order._id });
+      assert.equal(cancelled.status, "cancelled");
+      assert.equal(cancelled.statusHistory.at(-1).note, "Found another seller");
+    });
+
+    it("refuses to cancel once the order is dispatched, keeping the stock", async () => {
+      const crop = await addCrop(100);
+      const interest = await addInterest(crop, "buyer@example.com", 30);
+      const { order } = await accept(interest);
+      await ordersCollection.updateOne(
+        { _id: order._id },
+        { $set: { status: "dispatched" } }
+      );
+      const accepted = await interestsCollection.findOne({ _id: interest._id });
+
+      await assert.rejects(
+        applyStatusTransition({
+          interest: accepted,
+          status: "cancelled",
+          actor: "buyer",
+          actorEmail: "buyer@example.com",
+        }),
+        { data: { orderId: order._id, orderStatus: "dispatched" } }
+      );
+
+      assert.equal(await stockOf(crop), 70);
+      assert.equal(
+        (await interestsCollection.findOne({ _id: interest._id })).status,
+        "accepted"
+      );
+    });
+  });
+});
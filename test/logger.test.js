@@ -0,0 +1,83 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { redact } from "../config/logger.js";
+
+describe("redact", () => {
+  it("masks emails wherever they appear", () => {
+    assert.deepEqual(
+      redact({
+        email: "farmer@example.com",
+        message: "Sent to buyer@example.com and farmer@example.org",
+        recipients: ["a.b@example.com"],
+      }),
+      {
+        email: "f***@example.com",
+        message: "Sent to b***@example.com and f***@example.org",
+        recipients: ["a***@example.com"],
+      }
+    );
+  });
+
+  it("drops credentials", () => {
+    assert.deepEqual(
+      redact({
+        headers: { authorization: "Bearer abc", cookie: "session=1" },
+        password: "hunter2",
+        idToken: "abc",
+        apiSecret: { nested: true },
+      }),
+      {
+        headers: { authorization: "[REDACTED]", cookie: "[REDACTED]" },
+        password: "[REDACTED]",
+        idToken: "[REDACTED]",
+        apiSecret: "[REDACTED]",
+      }
+    );
+  });
+
+  it("keeps only the last two digits of phone numbers", () => {
+    assert.deepEqual(redact({ phone: "+880 1712-345678", mobile: "7" }), {
+      phone: "***78",
+      mobile: "***",
+    });
+  });
+
+  it("serializes errors with masked messages and their cause", () => {
+    const error = new Error("No account for farmer@example.com", {
+      cause: new Error("lookup failed"),
+    });
+    error.code = "NOT_FOUND";
+
+    const logged = redact({ error }).error;
+
+    assert.equal(logged.name, "Error");
+    assert.equal(logged.message, "No account for f***@example.com");
+    assert.equal(logged.code, "NOT_FOUND");
+    assert.doesNotMatch(logged.stack, /farmer@example\.com/);
+    assert.equal(logged.cause.message, "lookup failed");
+  });
+
+  it("logs dates and ObjectIds as strings", () => {
+    const id = new ObjectId();
+
+    assert.deepEqual(redact({ at: new Date(0), id }), {
+      at: "1970-01-01T00:00:00.000Z",
+      id: id.toString(),
+    });
+  });
+
+  it("cuts off deeply nested values", () => {
+    const deep = { a: { b: { c: { d: { e: { f: { g: "too deep" } } } } } } };
+
+    assert.equal(redact(deep).a.b.c.d.e.f, "[Truncated]");
+  });
+
+  it("passes other values through", () => {
+    assert.deepEqual(redact({ count: 3, ok: true, missing: null }), {
+      count: 3,
+      ok: true,
+      missing: null,
+    });
+  });
+});
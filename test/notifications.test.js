@@ -0,0 +1,106 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  countUnread,
+  listNotifications,
+  markNotificationsRead,
+  notify,
+  subscribe,
+} from "../services/notifications.js";
+import { NEEDS_DATABASE, useDatabase } from "./helpers/db.js";
+
+describe("notifications", { skip: NEEDS_DATABASE }, () => {
+  useDatabase();
+
+  const email = "farmer@example.com";
+
+  // Stores `count` notifications for `email` and returns their ids as
+  // strings, oldest first
+  const addNotifications = async (count) => {
+    const ids = [];
+    for (let i = 1; i <= count; i++) {
+      const notification = await notify({
+        recipientEmail: email,
+        type: "interest.created",
+        title: `Notification ${i}`,
+        body: "",
+      });
+      ids.push(notification._id.toString());
+    }
+    return ids;
+  };
+
+  const idsOf = ({ notifications }) =>
+    notifications.map((notification) => notification._id.toString());
+
+  it("pages back through older notifications, newest first", async () => {
+    const ids = await addNotifications(5);
+
+    const first = await listNotifications({ email, limit: 2 });
+    assert.deepEqual(idsOf(first), [ids[4], ids[3]]);
+    assert.equal(first.hasMore, true);
+    assert.equal(first.nextCursor, ids[3]);
+
+    const second = await listNotifications({
+      email,
+      before: first.nextCursor,
+      limit: 2,
+    });
+    assert.deepEqual(idsOf(second), [ids[2], ids[1]]);
+
+    const last = await listNotifications({
+      email,
+      before: second.nextCursor,
+      limit: 2,
+    });
+    assert.deepEqual(idsOf(last), [ids[0]]);
+    assert.equal(last.hasMore, false);
+    assert.equal(last.nextCursor, null);
+  });
+
+  it("polls for newer notifications, oldest first", async () => {
+    const ids = await addNotifications(4);
+
+    const page = await listNotifications({ email, after: ids[0], limit: 2 });
+    assert.deepEqual(idsOf(page), [ids[1], ids[2]]);
+    assert.equal(page.hasMore, true);
+    assert.equal(page.nextCursor, ids[2]);
+
+    // With nothing new the poller keeps its cursor
+    const empty = await listNotifications({ email, after: ids[3], limit: 2 });
+    assert.deepEqual(empty.notifications, []);
+    assert.equal(empty.nextCursor, ids[3]);
+  });
+
+  it("lists and counts only the user's unread notifications", async () => {
+    const ids = await addNotifications(3);
+    await notify({
+      recipientEmail: "buyer@example.com",
+      type: "interest.created",
+      title: "Someone else's",
+      body: "",
+    });
+
+    assert.equal(await markNotificationsRead({ email, upTo: ids[1] }), 2);
+    assert.equal(await countUnread(email), 1);
+
+    const unread = await listNotifications({ email, unread: true, limit: 10 });
+    assert.deepEqual(idsOf(unread), [ids[2]]);
+
+    assert.equal(await markNotificationsRead({ email }), 1);
+    assert.equal(await countUnread("buyer@example.com"), 1);
+  });
+
+  it("publishes stored notifications to subscribers", async () => {
+    const received = [];
+    const unsubscribe = subscribe(email, (notification) =>
+      received.push(notification.title)
+    );
+
+    await addNotifications(1);
+    unsubscribe();
+    await addNotifications(1);
+
+    assert.deepEqual(received, ["Notification 1"]);
+  });
+});
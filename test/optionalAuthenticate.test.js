@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { usersCollection } from "../config/db.js";
+import optionalAuthenticate from "../middleware/optionalAuthenticate.js";
+import { NEEDS_DATABASE, useDatabase } from "./helpers/db.js";
+import { createApp, withServer } from "./helpers/server.js";
+import { signToken, useStubVerifier } from "./helpers/tokens.js";
+
+describe("optionalAuthenticate", () => {
+  const app = createApp((app) => {
+    app.get("/crop", optionalAuthenticate, (req, res) =>
+      res.json({ user: req.user ?? null })
+    );
+  });
+
+  const getCrop = (baseUrl, token) =>
+    fetch(`${baseUrl}/crop`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+
+  useStubVerifier();
+
+  it("reads anonymously without a token", async () => {
+    await withServer(app, async (baseUrl) => {
+      const res = await getCrop(baseUrl);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(await res.json(), { user: null });
+    });
+  });
+
+  it("rejects a bad or expired token with 401", async () => {
+    const past = Math.floor(Date.now() / 1000) - 60;
+
+    await withServer(app, async (baseUrl) => {
+      for (const token of ["not-a-token", signToken({ exp: past })]) {
+        const res = await getCrop(baseUrl, token);
+
+        assert.equal(res.status, 401);
+        assert.equal((await res.json()).code, "TOKEN_INVALID");
+      }
+    });
+  });
+
+  it("reads anonymously with an unverified email", async () => {
+    await withServer(app, async (baseUrl) => {
+      const res = await getCrop(baseUrl, signToken({ email_verified: false }));
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(await res.json(), { user: null });
+    });
+  });
+
+  describe("with an account", { skip: NEEDS_DATABASE }, () => {
+    useDatabase();
+
+    it("attaches the account's role", async () => {
+      await usersCollection.insertOne({
+        email: "farmer@example.com",
+        role: "farmer",
+        status: "active",
+      });
+
+      await withServer(app, async (baseUrl) => {
+        const res = await getCrop(baseUrl, signToken());
+        const { user } = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(user.email, "farmer@example.com");
+        assert.equal(user.role, "farmer");
+        assert.equal(user.isRegistered, true);
+      });
+    });
+
+    it("rejects a suspended account with 403", async () => {
+      await usersCollection.insertOne({
+        email: "farmer@example.com",
+        role: "farmer",
+        status: "suspended",
+        suspension: { reason: "Fake listings" },
+      });
+
+      await withServer(app, async (baseUrl) => {
+        const res = await getCrop(baseUrl, signToken());
+        const body = await res.json();
+
+        assert.equal(res.status, 403);
+        assert.equal(body.code, "ACCOUNT_SUSPENDED");
+        assert.deepEqual(body.data, { reason: "Fake listings" });
+      });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  checkOrderTransition,
+  getOrderActor,
+  interestStatusForOrder,
+} from "../services/orderTransitions.js";
+
+describe("order state machine", () => {
+  const order = {
+    ownerEmail: "farmer@example.com",
+    buyerEmail: "buyer@example.com",
+  };
+
+  it("identifies the owner, the buyer and admins", () => {
+    assert.equal(
+      getOrderActor(order, { email: "farmer@example.com" }),
+      "owner"
+    );
+    assert.equal(getOrderActor(order, { email: "buyer@example.com" }), "buyer");
+    assert.equal(
+      getOrderActor(order, { email: "admin@example.com", role: "admin" }),
+      "admin"
+    );
+    assert.equal(getOrderActor(order, { email: "other@example.com" }), null);
+  });
+
+  it("follows the fulfilment path", () => {
+    const path = [
+      ["confirmed", "dispatched", "owner"],
+      ["dispatched", "delivered", "buyer"],
+      ["delivered", "completed", "buyer"],
+    ];
+
+    for (const [from, to, actor] of path) {
+      assert.deepEqual(checkOrderTransition(from, to, actor), {
+        allowed: true,
+      });
+    }
+  });
+
+  it("lets either side cancel a confirmed order", () => {
+    assert.deepEqual(checkOrderTransition("confirmed", "cancelled", "owner"), {
+      allowed: true,
+    });
+    assert.deepEqual(checkOrderTransition("confirmed", "cancelled", "buyer"), {
+      allowed: true,
+    });
+  });
+
+  it("leaves disputes to admins", () => {
+    assert.deepEqual(checkOrderTransition("delivered", "disputed", "buyer"), {
+      allowed: true,
+    });
+    assert.deepEqual(checkOrderTransition("disputed", "completed", "admin"), {
+      allowed: true,
+    });
+    assert.equal(
+      checkOrderTransition("disputed", "completed", "buyer").code,
+      403
+    );
+    assert.equal(
+      checkOrderTransition("disputed", "cancelled", "owner").code,
+      403
+    );
+  });
+
+  it("refuses the wrong actor with 403", () => {
+    const result = checkOrderTransition("confirmed", "dispatched", "buyer");
+    assert.equal(result.allowed, false);
+    assert.equal(result.code, 403);
+    assert.match(result.message, /Only the owner/);
+
+    assert.equal(
+      checkOrderTransition("delivered", "completed", "owner").code,
+      403
+    );
+  });
+
+  it("refuses cancelling once dispatched", () => {
+    const result = checkOrderTransition("dispatched", "cancelled", "owner");
+    assert.equal(result.allowed, false);
+    assert.equal(result.code, 400);
+  });
+
+  it("refuses moves out of final statuses and to the current status", () => {
+    assert.equal(
+      checkOrderTransition("completed", "cancelled", "admin").code,
+      400
+    );
+    assert.equal(
+      checkOrderTransition("cancelled", "confirmed", "owner").code,
+      400
+    );
+    assert.deepEqual(
+      checkOrderTransition("dispatched", "dispatched", "owner"),
+      {
+        allowed: false,
+        code: 400,
+        message: "Order is already dispatched",
+      }
+    );
+  });
+
+  it("maps a closed order to its interest status", () => {
+    assert.equal(interestStatusForOrder("completed", "buyer"), "completed");
+    assert.equal(interestStatusForOrder("completed", "admin"), "completed");
+    assert.equal(interestStatusForOrder("cancelled", "owner"), "rejected");
+    assert.equal(interestStatusForOrder("cancelled", "buyer"), "cancelled");
+    assert.equal(interestStatusForOrder("cancelled", "admin"), "cancelled");
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import rateLimit, { RATE_LIMITS } from "../middleware/rateLimit.js";
+import { getRateLimitStore } from "../services/rateLimitStores.js";
+import { createApp, withServer } from "./helpers/server.js";
+
+describe("memory rate limit store", () => {
+  const store = getRateLimitStore();
+
+  it("is the default store", () => {
+    assert.equal(store.name, "memory");
+  });
+
+  it("counts hits per key within a window", async () => {
+    const windowMs = 60 * 60 * 1000;
+
+    assert.equal((await store.hit("test:a", windowMs)).count, 1);
+    assert.equal((await store.hit("test:a", windowMs)).count, 2);
+    assert.equal((await store.hit("test:b", windowMs)).count, 1);
+  });
+
+  it("resets at the end of an epoch-aligned window", async () => {
+    const windowMs = 60 * 1000;
+    const { resetAt } = await store.hit("test:c", windowMs);
+
+    assert.equal(resetAt.getTime() % windowMs, 0);
+    assert.ok(resetAt.getTime() > Date.now());
+    assert.ok(resetAt.getTime() <= Date.now() + windowMs);
+  });
+});
+
+describe("rateLimit middleware", () => {
+  const { perIp, perUser } = RATE_LIMITS.users;
+
+  // Signs in as the X-Test-User email, when one is sent
+  const signIn = (req, res, next) => {
+    const email = req.get("X-Test-User");
+    if (email) {
+      req.user = { email, isRegistered: req.get("X-Test-Registered") === "1" };
+    }
+    next();
+  };
+
+  const app = createApp((app) => {
+    // Each test sends its own X-Forwarded-For, so their IP counts don't mix
+    app.set("trust proxy", true);
+    app.post("/ip", rateLimit("users", { by: "ip" }), (req, res) =>
+      res.json({ success: true })
+    );
+    app.post(
+      "/user",
+      signIn,
+      rateLimit("users", { skip: (req) => req.user.isRegistered }),
+      (req, res) => res.json({ success: true })
+    );
+  });
+
+  const post = (baseUrl, path, headers = {}) =>
+    fetch(`${baseUrl}${path}`, { method: "POST", headers });
+
+  let lastIp = 0;
+  const nextIp = () => `203.0.113.${++lastIp}`;
+
+  it("rejects an account over its limit with 429 and Retry-After", async () => {
+    await withServer(app, async (baseUrl) => {
+      const headers = {
+        "X-Test-User": "limited@example.com",
+        "X-Forwarded-For": nextIp(),
+      };
+
+      for (let i = 1; i <= perUser; i++) {
+        const res = await post(baseUrl, "/user", headers);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get("ratelimit-limit"), String(perUser));
+        assert.equal(
+          res.headers.get("ratelimit-remaining"),
+          String(perUser - i)
+        );
+      }
+
+      const res = await post(baseUrl, "/user", headers);
+      const body = await res.json();
+
+      assert.equal(res.status, 429);
+      assert.equal(body.code, "RATE_LIMITED");
+      assert.ok(Number(res.headers.get("retry-after")) > 0);
+
+      // Another account has its own allowance
+      const other = await post(baseUrl, "/user", {
+        "X-Test-User": "other@example.com",
+        "X-Forwarded-For": headers["X-Forwarded-For"],
+      });
+      assert.equal(other.status, 200);
+    });
+  });
+
+  it("does not count skipped requests", async () => {
+    await withServer(app, async (baseUrl) => {
+      const headers = {
+        "X-Test-User": "registered@example.com",
+        "X-Test-Registered": "1",
+        "X-Forwarded-For": nextIp(),
+      };
+
+      for (let i = 0; i <= perIp; i++) {
+        const res = await post(baseUrl, "/user", headers);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get("ratelimit-limit"), null);
+      }
+    });
+  });
+
+  it("limits sign-ups from one IP address across accounts", async () => {
+    await withServer(app, async (baseUrl) => {
+      const ip = nextIp();
+      const signUp = (i) =>
+        post(baseUrl, "/user", {
+          "X-Test-User": `new${i}@example.com`,
+          "X-Forwarded-For": ip,
+        });
+
+      for (let i = 0; i < perIp; i++) {
+        assert.equal((await signUp(i)).status, 200);
+      }
+
+      assert.equal((await signUp(perIp)).status, 429);
+    });
+  });
+
+  it("limits anonymous requests by IP address", async () => {
+    await withServer(app, async (baseUrl) => {
+      const headers = { "X-Forwarded-For": nextIp() };
+
+      for (let i = 0; i < perIp; i++) {
+        assert.equal((await post(baseUrl, "/ip", headers)).status, 200);
+      }
+
+      assert.equal((await post(baseUrl, "/ip", headers)).status, 429);
+    });
+  });
+});
@@ -0,0 +1,13 @@
+// Loaded before every test file (see the "test" script in package.json).
+// Tests run offline: config/db.js creates its client but does not connect
+// under NODE_ENV=test, and tokens are checked by a local stub verifier.
+process.env.NODE_ENV = "test";
+process.env.LOG_LEVEL ??= "warn";
+process.env.MONGODB_URI ??= "mongodb://127.0.0.1:27017/krishilink-test";
+
+// Suites that need MongoDB run against TEST_MONGODB_URI (see
+// helpers/db.js), always in a database of their own because they empty it
+if (process.env.TEST_MONGODB_URI) {
+  process.env.MONGODB_URI = process.env.TEST_MONGODB_URI;
+  process.env.DB_NAME = "krishilinkTest";
+}
@@ -0,0 +1,148 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { validate } from "../validation/validate.js";
+import {
+  adminAuditQuerySchema,
+  cropCreateSchema,
+  cropUpdateSchema,
+} from "../validation/schemas.js";
+
+const crop = {
+  name: "Rice",
+  type: "Grain",
+  pricePerUnit: 50,
+  unit: "kg",
+  quantity: 1000,
+  description: "Premium basmati rice",
+  location: "Dinajpur",
+};
+
+describe("validate", () => {
+  it("accepts a valid payload and drops unknown fields", () => {
+    const { value, errors } = validate(cropCreateSchema, {
+      ...crop,
+      status: "approved",
+      owner: { ownerName: "John", ownerEmail: "someone@example.com" },
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(value.status, undefined);
+    assert.deepEqual(value.owner, { ownerName: "John" });
+  });
+
+  it("reports every missing required field", () => {
+    const { errors } = validate(cropCreateSchema, {});
+    const fields = errors.map((error) => error.field);
+
+    assert.ok(fields.includes("name"));
+    assert.ok(fields.includes("quantity"));
+    assert.ok(errors.every((error) => error.message === "is required"));
+  });
+
+  it("checks types and constraints", () => {
+    const { errors } = validate(cropCreateSchema, {
+      ...crop,
+      name: "   ",
+      pricePerUnit: 0,
+      quantity: "lots",
+      image: "ftp://example.com/rice.jpg",
+    });
+
+    assert.deepEqual(errors, [
+      { field: "name", message: "cannot be empty" },
+      { field: "pricePerUnit", message: "must be greater than 0" },
+      { field: "quantity", message: "must be a number" },
+      { field: "image", message: "must be an http(s) URL" },
+    ]);
+  });
+
+  it("matches enums case-insensitively and stores their spelling", () => {
+    const { value, errors } = validate(cropCreateSchema, {
+      ...crop,
+      type: "grain",
+      unit: "KG",
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(value.type, "Grain");
+    assert.equal(value.unit, "kg");
+  });
+
+  it("lets partial updates omit required fields", () => {
+    const { value, errors } = validate(
+      cropUpdateSchema,
+      { quantity: 0 },
+      { partial: true }
+    );
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { quantity: 0 });
+  });
+
+  it("validates a nested object whole in a partial update", () => {
+    const { errors } = validate(
+      cropUpdateSchema,
+      { coordinates: { lat: 23.8 } },
+      { partial: true }
+    );
+
+    assert.deepEqual(errors, [
+      { field: "coordinates.lng", message: "is required" },
+    ]);
+  });
+
+  it("checks nested constraints", () => {
+    const { errors } = validate(cropCreateSchema, {
+      ...crop,
+      coordinates: { lat: 91, lng: "east" },
+    });
+
+    assert.deepEqual(errors, [
+      { field: "coordinates.lat", message: "must be at most 90" },
+      { field: "coordinates.lng", message: "must be a number" },
+    ]);
+  });
+
+  describe("dates", () => {
+    it("reads a date-only range as whole UTC days", () => {
+      const { value, errors } = validate(adminAuditQuerySchema, {
+        from: "2024-03-01",
+        to: "2024-03-31",
+      });
+
+      assert.deepEqual(errors, []);
+      assert.equal(value.from.toISOString(), "2024-03-01T00:00:00.000Z");
+      assert.equal(value.to.toISOString(), "2024-03-31T23:59:59.999Z");
+    });
+
+    it("keeps an explicit time", () => {
+      const { value } = validate(adminAuditQuerySchema, {
+        to: "2024-03-31T12:30:00+06:00",
+      });
+
+      assert.equal(value.to.toISOString(), "2024-03-31T06:30:00.000Z");
+    });
+
+    it("refuses impossible and malformed dates", () => {
+      const { errors } = validate(adminAuditQuerySchema, {
+        from: "2024-02-30",
+        to: "31/03/2024",
+      });
+
+      assert.deepEqual(errors, [
+        { field: "from", message: "must be a real calendar date" },
+        { field: "to", message: "must be an ISO date" },
+      ]);
+    });
+
+    it("refuses an impossible time", () => {
+      const { errors } = validate(adminAuditQuerySchema, {
+        from: "2024-03-01T25:00:00Z",
+      });
+
+      assert.deepEqual(errors, [
+        { field: "from", message: "must be an ISO date" },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import verifyToken from "../middleware/verifyToken.js";
+import { createApp, withServer } from "./helpers/server.js";
+import { otherKeys, signToken, useStubVerifier } from "./helpers/tokens.js";
+
+describe("verifyToken", () => {
+  const app = createApp((app) => {
+    app.get("/me", verifyToken, (req, res) => res.json(req.user));
+  });
+
+  const getMe = (baseUrl, token) =>
+    fetch(`${baseUrl}/me`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+
+  useStubVerifier();
+
+  it("attaches the verified identity", async () => {
+    await withServer(app, async (baseUrl) => {
+      const res = await getMe(baseUrl, signToken());
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(await res.json(), {
+        uid: "uid-1",
+        email: "farmer@example.com",
+        name: "John Farmer",
+        picture: "",
+      });
+    });
+  });
+
+  it("rejects a request without a token", async () => {
+    await withServer(app, async (baseUrl) => {
+      const res = await getMe(baseUrl);
+      const body = await res.json();
+
+      assert.equal(res.status, 401);
+      assert.equal(body.code, "TOKEN_MISSING");
+    });
+  });
+
+  it("rejects malformed, forged, expired and misaddressed tokens", async () => {
+    const past = Math.floor(Date.now() / 1000) - 60;
+    const tokens = [
+      "not-a-token",
+      signToken({}, otherKeys.privateKey),
+      signToken({ exp: past }),
+      signToken({ aud: "another-project" }),
+      signToken({ sub: undefined }),
+    ];
+
+    await withServer(app, async (baseUrl) => {
+      for (const token of tokens) {
+        const res = await getMe(baseUrl, token);
+        const body = await res.json();
+
+        assert.equal(res.status, 401);
+        assert.equal(body.code, "TOKEN_INVALID");
+      }
+    });
+  });
+
+  it("rejects a token without an email address", async () => {
+    await withServer(app, async (baseUrl) => {
+      const res = await getMe(baseUrl, signToken({ email: undefined }));
+
+      assert.equal(res.status, 401);
+      assert.equal((await res.json()).code, "TOKEN_INVALID");
+    });
+  });
+
+  it("refuses an unverified email address", async () => {
+    await withServer(app, async (baseUrl) => {
+      for (const claims of [
+        { email_verified: false },
+        { email_verified: undefined },
+      ]) {
+        const res = await getMe(baseUrl, signToken(claims));
+
+        assert.equal(res.status, 403);
+        assert.equal((await res.json()).code, "EMAIL_NOT_VERIFIED");
+      }
+    });
+  });
+});
@@ -0,0 +1,286 @@
+import { ROLES, SELF_ASSIGNABLE_ROLES } from "../middleware/requireRole.js";
+import { INTEREST_STATUSES } from "../services/interestTransitions.js";
+import { CROP_STATUSES } from "../services/cropModeration.js";
+import {
+  ORDER_STATUSES,
+  FULFILMENT_METHODS,
+} from "../services/orderTransitions.js";
+import { AUDIT_ENTITY_TYPES } from "../services/audit.js";
+
+// ==================== ALLOWED VALUES ====================
+
+export const CROP_TYPES = [
+  "Vegetable",
+  "Fruit",
+  "Grain",
+  "Pulse",
+  "Spice",
+  "Oilseed",
+  "Cash Crop",
+  "Fish",
+  "Dairy",
+  "Livestock",
+  "Other",
+];
+
+export const CROP_UNITS = [
+  "kg",
+  "gram",
+  "ton",
+  "quintal",
+  "maund",
+  "litre",
+  "piece",
+  "dozen",
+  "bundle",
+  "sack",
+];
+
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+const LAT_LNG_PATTERN = /^\s*-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?\s*$/;
+const PHONE_PATTERN = /^\+?[0-9\s-]{6,20}$/;
+
+// ==================== CROPS ====================
+
+export const cropCreateSchema = {
+  name: { type: "string", required: true, maxLength: 100 },
+  type: { type: "string", required: true, enum: CROP_TYPES },
+  pricePerUnit: { type: "number", required: true, min: 0, exclusiveMin: true },
+  unit: { type: "string", required: true, enum: CROP_UNITS },
+  quantity: { type: "number", required: true, min: 0, exclusiveMin: true },
+  description: { type: "string", required: true, maxLength: 2000 },
+  location: { type: "string", required: true, maxLength: 200 },
+  image: {
+    type: "string",
+    pattern: URL_PATTERN,
+    patternMessage: "must be an http(s) URL",
+  },
+  owner: {
+    type: "object",
+    fields: {
+      ownerName: { type: "string", maxLength: 100 },
+    },
+  },
+  // Optional pin; when omitted the location label is geocoded offline
+  coordinates: {
+    type: "object",
+    fields: {
+      lat: { type: "number", required: true, min: -90, max: 90 },
+      lng: { type: "number", required: true, min: -180, max: 180 },
+    },
+  },
+};
+
+// Owner and status are never client-editable; stock may drop to zero
+export const cropUpdateSchema = {
+  name: cropCreateSchema.name,
+  type: cropCreateSchema.type,
+  pricePerUnit: cropCreateSchema.pricePerUnit,
+  unit: cropCreateSchema.unit,
+  quantity: { type: "number", min: 0 },
+  description: cropCreateSchema.description,
+  location: cropCreateSchema.location,
+  image: cropCreateSchema.image,
+  coordinates: cropCreateSchema.coordinates,
+};
+
+export const cropRejectSchema = {
+  reason: { type: "string", required: true, maxLength: 500 },
+};
+
+export const cropRemoveSchema = {
+  reason: { type: "string", maxLength: 500 },
+};
+
+// ==================== INTERESTS ====================
+
+export const interestCreateSchema = {
+  cropId: { type: "objectId", required: true },
+  userName: { type: "string", maxLength: 100 },
+  quantity: { type: "number", required: true, min: 0, exclusiveMin: true },
+  // Opening offer per unit; the crop's listed price when omitted
+  proposedPrice: { type: "number", min: 0, exclusiveMin: true },
+  message: { type: "string", maxLength: 1000, default: "" },
+};
+
+export const interestOfferSchema = {
+  pricePerUnit: { type: "number", required: true, min: 0, exclusiveMin: true },
+  quantity: { type: "number", min: 0, exclusiveMin: true },
+  note: { type: "string", maxLength: 500 },
+};
+
+export const interestStatusSchema = {
+  status: { type: "string", required: true, enum: INTEREST_STATUSES },
+  autoRejectRemaining: { type: "boolean" },
+  // How the order created on accept is handed over
+  fulfilment: {
+    type: "object",
+    fields: {
+      method: { type: "string", enum: FULFILMENT_METHODS, default: "pickup" },
+      address: { type: "string", maxLength: 300 },
+      note: { type: "string", maxLength: 500 },
+    },
+  },
+};
+
+export const legacyInterestStatusSchema = {
+  interestId: { type: "objectId", required: true },
+  cropId: { type: "objectId", required: true },
+  ...interestStatusSchema,
+};
+
+// ==================== MESSAGES ====================
+
+export const messageCreateSchema = {
+  body: { type: "string", required: true, maxLength: 2000 },
+};
+
+// Marks messages up to and including `upTo` as read (all when omitted)
+export const messageReadSchema = {
+  upTo: { type: "objectId" },
+};
+
+// ==================== ORDERS ====================
+
+export const orderStatusSchema = {
+  status: { type: "string", required: true, enum: ORDER_STATUSES },
+  note: { type: "string", maxLength: 500 },
+};
+
+// ==================== REVIEWS ====================
+
+export const reviewCreateSchema = {
+  interestId: { type: "objectId", required: true },
+  rating: { type: "integer", required: true, min: 1, max: 5 },
+  text: { type: "string", maxLength: 1000, default: "" },
+};
+
+// ==================== NOTIFICATIONS ====================
+
+export const notificationReadSchema = {
+  upTo: { type: "objectId" },
+};
+
+// ==================== USERS ====================
+
+export const userCreateSchema = {
+  name: { type: "string", maxLength: 100 },
+  photoURL: {
+    type: "string",
+    pattern: URL_PATTERN,
+    patternMessage: "must be an http(s) URL",
+  },
+  role: { type: "string", enum: SELF_ASSIGNABLE_ROLES, default: "user" },
+};
+
+export const userUpdateSchema = {
+  name: userCreateSchema.name,
+  photoURL: userCreateSchema.photoURL,
+  phone: {
+    type: "string",
+    pattern: PHONE_PATTERN,
+    patternMessage: "must be a valid phone number",
+  },
+  address: { type: "string", maxLength: 300 },
+  bio: { type: "string", maxLength: 1000 },
+};
+
+export const userRoleSchema = {
+  role: { type: "string", required: true, enum: ROLES },
+};
+
+export const userSuspendSchema = {
+  reason: { type: "string", maxLength: 500, default: "" },
+};
+
+// ==================== QUERIES ====================
+
+export const cropListQuerySchema = {
+  page: { type: "integer", min: 1, default: 1 },
+  limit: { type: "integer", min: 1, max: 100, default: 20 },
+  // Defaults to relevance when searching, distance with `near`, otherwise date
+  sortBy: {
+    type: "string",
+    enum: ["relevance", "distance", "date", "price", "quantity"],
+  },
+  order: { type: "string", enum: ["asc", "desc"], default: "desc" },
+  search: { type: "string", maxLength: 100 },
+  type: { type: "string", enum: CROP_TYPES },
+  location: { type: "string", maxLength: 100 },
+  minPrice: { type: "number", min: 0 },
+  maxPrice: { type: "number", min: 0 },
+  minQuantity: { type: "number", min: 0 },
+  near: {
+    type: "string",
+    pattern: LAT_LNG_PATTERN,
+    patternMessage: "must be 'lat,lng'",
+  },
+  radius: { type: "number", min: 0, exclusiveMin: true, max: 500 },
+};
+
+export const cropSuggestQuerySchema = {
+  q: { type: "string", required: true, minLength: 1, maxLength: 50 },
+  limit: { type: "integer", min: 1, max: 20, default: 8 },
+};
+
+export const myCropsQuerySchema = {
+  page: cropListQuerySchema.page,
+  limit: cropListQuerySchema.limit,
+  status: { type: "string", enum: CROP_STATUSES },
+  // List deleted crops (restorable or not) instead of live ones
+  deleted: { type: "boolean", default: false },
+};
+
+// `before` is the cursor from the previous page's meta.nextCursor
+export const messageListQuerySchema = {
+  before: { type: "objectId" },
+  limit: { type: "integer", min: 1, max: 100, default: 30 },
+};
+
+// `as` limits the list to orders where the caller is the buyer or the owner
+export const orderListQuerySchema = {
+  page: cropListQuerySchema.page,
+  limit: cropListQuerySchema.limit,
+  as: { type: "string", enum: ["buyer", "owner"] },
+  status: { type: "string", enum: ORDER_STATUSES },
+};
+
+// Admin order list; defaults to disputes waiting for a decision
+export const adminOrderQuerySchema = {
+  page: cropListQuerySchema.page,
+  limit: cropListQuerySchema.limit,
+  status: { type: "string", enum: ORDER_STATUSES, default: "disputed" },
+};
+
+// Audit log search; `from`/`to` are ISO dates (e.g. 2024-01-31)
+export const adminAuditQuerySchema = {
+  page: cropListQuerySchema.page,
+  limit: cropListQuerySchema.limit,
+  entityType: { type: "string", enum: AUDIT_ENTITY_TYPES },
+  entityId: { type: "objectId" },
+  actorEmail: { type: "string", maxLength: 200 },
+  action: { type: "string", maxLength: 50 },
+  from: { type: "date" },
+  // A date without a time includes that whole day
+  to: { type: "date", endOfDay: true },
+};
+
+export const reviewListQuerySchema = {
+  page: cropListQuerySchema.page,
+  limit: cropListQuerySchema.limit,
+};
+
+// `before` pages back through older notifications; `after` polls for newer
+export const notificationListQuerySchema = {
+  before: { type: "objectId" },
+  after: { type: "objectId" },
+  unread: { type: "boolean" },
+  limit: { type: "integer", min: 1, max: 100, default: 20 },
+};
+
+// Moderation queue; defaults to crops waiting for review
+export const adminCropQuerySchema = {
+  page: cropListQuerySchema.page,
+  limit: cropListQuerySchema.limit,
+  status: { type: "string", enum: CROP_STATUSES, default: "pending" },
+};
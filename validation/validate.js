@@ -0,0 +1,199 @@
+import { ObjectId } from "mongodb";
+
+// ==================== SCHEMA VALIDATION ====================
+//
+// A schema maps field names to rules:
+//
+//   {
+//     name: { type: "string", required: true, maxLength: 100 },
+//     quantity: { type: "number", required: true, min: 0, exclusiveMin: true },
+//     unit: { type: "string", enum: ["kg", "ton"] },
+//     owner: { type: "object", fields: { ownerName: { type: "string" } } },
+//   }
+//
+// Supported types: string, number, integer, boolean, objectId, object, date.
+// Fields not in the schema are dropped, so clients cannot inject keys.
+
+const ISO_DATE_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2024-01-31" or "2024-01-31T12:00:00Z" as a Date. Impossible dates such as
+// "2024-02-31" are refused rather than rolled over into the next month. A
+// date without a time is that UTC day's start, or with `endOfDay` its last
+// millisecond, so a range "to" a day includes the whole day.
+function parseDate(rule, raw) {
+  const match = typeof raw === "string" ? ISO_DATE_PATTERN.exec(raw) : null;
+  if (!match) return { error: "must be an ISO date" };
+
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  const dayStart = Date.UTC(year, month - 1, day);
+  const calendarDay = new Date(dayStart);
+
+  if (
+    calendarDay.getUTCFullYear() !== year ||
+    calendarDay.getUTCMonth() !== month - 1 ||
+    calendarDay.getUTCDate() !== day
+  ) {
+    return { error: "must be a real calendar date" };
+  }
+
+  // No time part
+  if (!match[4]) {
+    return {
+      value: new Date(rule.endOfDay ? dayStart + DAY_MS - 1 : dayStart),
+    };
+  }
+
+  const value = new Date(raw);
+  if (Number.isNaN(value.getTime())) return { error: "must be an ISO date" };
+  return { value };
+}
+
+function coerce(rule, raw) {
+  switch (rule.type) {
+    case "string": {
+      if (typeof raw !== "string") return { error: "must be a string" };
+      return { value: rule.trim === false ? raw : raw.trim() };
+    }
+    case "number":
+    case "integer": {
+      let value = raw;
+      if (typeof raw === "string" && raw.trim() !== "") value = Number(raw);
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return { error: "must be a number" };
+      }
+      if (rule.type === "integer" && !Number.isInteger(value)) {
+        return { error: "must be an integer" };
+      }
+      return { value };
+    }
+    case "boolean": {
+      if (typeof raw === "boolean") return { value: raw };
+      if (raw === "true") return { value: true };
+      if (raw === "false") return { value: false };
+      return { error: "must be a boolean" };
+    }
+    case "objectId": {
+      if (typeof raw !== "string" || !ObjectId.isValid(raw)) {
+        return { error: "must be a valid ID" };
+      }
+      return { value: raw };
+    }
+    case "object": {
+      if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+        return { error: "must be an object" };
+      }
+      return { value: raw };
+    }
+    case "date":
+      return parseDate(rule, raw);
+    default:
+      throw new Error(`Unknown schema type: ${rule.type}`);
+  }
+}
+
+function checkConstraints(rule, value) {
+  if (rule.enum) {
+    // Enum matching is case-insensitive; the canonical spelling is stored
+    const match = rule.enum.find((option) =>
+      typeof value === "string" && typeof option === "string"
+        ? option.toLowerCase() === value.toLowerCase()
+        : option === value
+    );
+    if (match === undefined) {
+      return { error: `must be one of: ${rule.enum.join(", ")}` };
+    }
+    value = match;
+  }
+
+  if (typeof value === "string") {
+    if (rule.required && value.length === 0) {
+      return { error: "cannot be empty" };
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return { error: `must be at least ${rule.minLength} characters` };
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return { error: `must be at most ${rule.maxLength} characters` };
+    }
+    if (rule.pattern && value.length > 0 && !rule.pattern.test(value)) {
+      return { error: rule.patternMessage || "has an invalid format" };
+    }
+  }
+
+  if (typeof value === "number") {
+    if (rule.min !== undefined) {
+      if (rule.exclusiveMin ? value <= rule.min : value < rule.min) {
+        return {
+          error: rule.exclusiveMin
+            ? `must be greater than ${rule.min}`
+            : `must be at least ${rule.min}`,
+        };
+      }
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return { error: `must be at most ${rule.max}` };
+    }
+  }
+
+  return { value };
+}
+
+function validateFields(schema, input, options, prefix, errors) {
+  const output = {};
+  const source = input && typeof input === "object" ? input : {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const path = prefix ? `${prefix}.${field}` : field;
+    const raw = source[field];
+
+    if (raw === undefined || raw === null) {
+      if (rule.required && !options.partial) {
+        errors.push({ field: path, message: "is required" });
+      } else if (rule.default !== undefined && !options.partial) {
+        output[field] = rule.default;
+      }
+      continue;
+    }
+
+    const coerced = coerce(rule, raw);
+    if (coerced.error) {
+      errors.push({ field: path, message: coerced.error });
+      continue;
+    }
+
+    // A nested object that is sent is validated whole, even in a partial
+    // update: { coordinates: { lat } } must not pass without `lng`
+    if (rule.type === "object") {
+      output[field] = validateFields(
+        rule.fields || {},
+        coerced.value,
+        { ...options, partial: false },
+        path,
+        errors
+      );
+      continue;
+    }
+
+    const checked = checkConstraints(rule, coerced.value);
+    if (checked.error) {
+      errors.push({ field: path, message: checked.error });
+      continue;
+    }
+
+    output[field] = checked.value;
+  }
+
+  return output;
+}
+
+// Validates `input` against `schema`. With `partial: true` (for updates),
+// required top-level fields may be omitted and defaults are not applied.
+// Returns { value, errors } where errors is [{ field, message }].
+export function validate(schema, input, options = {}) {
+  const errors = [];
+  const value = validateFields(schema, input, options, "", errors);
+  return { value, errors };
+}